@@ -0,0 +1,141 @@
+// src/budgets.js
+import picomatch from "picomatch";
+import { formatBytes } from "./utils.js";
+import { getFullWidthBytes } from "./report.js";
+
+export const BUDGET_LIMITS = [
+  "maxSourceBytes",
+  "maxSourceWidth",
+  "maxSourceHeight",
+  "maxVariantBytes",
+  "maxPageBytes",
+];
+export const BUDGET_SEVERITIES = ["warn", "error"];
+
+// Checks images and pages against weight budgets. Rules apply to every
+// image, or to sources matching `path` and pages matching `page` globs.
+export class BudgetChecker {
+  #rules;
+  #pages = new Map();
+  #reported = new Set();
+  #errors = 0;
+
+  constructor(rules = []) {
+    this.#rules = rules.map((rule) => ({
+      ...rule,
+      severity: rule.severity || "warn",
+      matchPath: rule.path ? picomatch(rule.path, { dot: true }) : () => true,
+      matchPage: rule.page ? picomatch(rule.page, { dot: true }) : () => true,
+    }));
+  }
+
+  get enabled() {
+    return this.#rules.length > 0;
+  }
+
+  // Violations with error severity since the last reset
+  get errorCount() {
+    return this.#errors;
+  }
+
+  reset() {
+    this.#pages.clear();
+    this.#reported.clear();
+    this.#errors = 0;
+  }
+
+  // Check one image and count it towards its page. Returns new violations
+  // as { severity, message }
+  checkImage(key, { source, original = {}, variants = [], page }) {
+    // Each image counts once per page, however often it is used there
+    if (page) {
+      if (!this.#pages.has(page)) this.#pages.set(page, new Map());
+      this.#pages.get(page).set(key, getFullWidthBytes(variants) ?? 0);
+    }
+
+    const violations = [];
+    for (const rule of this.#rules) {
+      if (!rule.matchPath(source)) continue;
+
+      const { maxSourceBytes, maxSourceWidth, maxSourceHeight } = rule;
+      const { bytes, width, height } = original;
+
+      if (maxSourceBytes && bytes > maxSourceBytes) {
+        violations.push(
+          this.#violation(
+            rule,
+            `${source} is ${formatBytes(bytes)}, over the ` +
+              `${formatBytes(maxSourceBytes)} limit (maxSourceBytes)`
+          )
+        );
+      }
+      if (maxSourceWidth && width > maxSourceWidth) {
+        violations.push(
+          this.#violation(
+            rule,
+            `${source} is ${width}px wide, over the ${maxSourceWidth}px ` +
+              `limit (maxSourceWidth)`
+          )
+        );
+      }
+      if (maxSourceHeight && height > maxSourceHeight) {
+        violations.push(
+          this.#violation(
+            rule,
+            `${source} is ${height}px high, over the ${maxSourceHeight}px ` +
+              `limit (maxSourceHeight)`
+          )
+        );
+      }
+
+      for (const variant of variants) {
+        if (rule.maxVariantBytes && variant.bytes > rule.maxVariantBytes) {
+          violations.push(
+            this.#violation(
+              rule,
+              `${variant.url} is ${formatBytes(variant.bytes)}, over the ` +
+                `${formatBytes(rule.maxVariantBytes)} limit (maxVariantBytes)`
+            )
+          );
+        }
+      }
+    }
+
+    return violations.filter(Boolean);
+  }
+
+  // Check the image weight of every page seen so far
+  checkPages() {
+    const violations = [];
+
+    for (const [page, images] of [...this.#pages].sort()) {
+      const bytes = [...images.values()].reduce((a, b) => a + b, 0);
+
+      for (const rule of this.#rules) {
+        if (!rule.maxPageBytes || !rule.matchPage(page)) continue;
+
+        if (bytes > rule.maxPageBytes) {
+          violations.push(
+            this.#violation(
+              rule,
+              `Page ${page} loads ${formatBytes(bytes)} of images, over the ` +
+                `${formatBytes(rule.maxPageBytes)} limit (maxPageBytes)`
+            )
+          );
+        }
+      }
+    }
+
+    return violations.filter(Boolean);
+  }
+
+  #violation({ severity }, message) {
+    // Images used on several pages are reported once
+    const key = `${severity}:${message}`;
+    if (this.#reported.has(key)) return null;
+
+    this.#reported.add(key);
+    if (severity === "error") this.#errors++;
+    return { severity, message: `Image budget exceeded: ${message}` };
+  }
+}
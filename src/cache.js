@@ -1,13 +1,19 @@
 // src/cache.js
+import { readFile } from "node:fs/promises";
 import Keyv from "keyv";
 import debug from "debug";
+import { writeFileAtomic } from "./utils.js";
 
 const log = debug("uniweb:image-optimizer:cache");
 
+const CACHE_VERSION = 1;
+
 export class Cache {
   #store;
   #ttl;
-  #size = 0;
+  #keys = new Set();
+  #path = null;
+  #dirty = false;
 
   constructor(ttl) {
     this.#ttl = ttl;
@@ -22,17 +28,23 @@ export class Cache {
   }
 
   async set(key, value) {
-    await this.#store.set(key, {
+    const entry = {
       value,
       timestamp: Date.now(),
-    });
-    this.#size++;
+    };
+
+    await this.#store.set(key, entry);
+    this.#keys.add(key);
+    this.#dirty = true;
     log("Cached:", key);
   }
 
   async get(key) {
     const entry = await this.#store.get(key);
-    if (!entry) return null;
+    if (!entry) {
+      this.#forget(key);
+      return null;
+    }
 
     // Check if entry has expired
     if (this.#isExpired(entry.timestamp)) {
@@ -40,6 +52,12 @@ export class Cache {
       return null;
     }
 
+    // Entries expire once unused for the TTL, so results used by every
+    // build are kept however long ago they were written
+    entry.timestamp = Date.now();
+    await this.#store.set(key, entry);
+    this.#dirty = true;
+
     log("Cache hit:", key);
     return entry.value;
   }
@@ -50,8 +68,8 @@ export class Cache {
 
   async delete(key) {
     const deleted = await this.#store.delete(key);
+    this.#forget(key);
     if (deleted) {
-      this.#size--;
       log("Removed from cache:", key);
     }
     return deleted;
@@ -59,15 +77,77 @@ export class Cache {
 
   async clear() {
     await this.#store.clear();
-    this.#size = 0;
+    this.#keys.clear();
+    this.#dirty = true;
     log("Cache cleared");
   }
 
+  // Load entries persisted by a previous run. Expired or unreadable entries
+  // are ignored, so a missing or corrupt file simply means a cold cache.
+  async load(path) {
+    this.#path = path;
+
+    let data;
+    try {
+      data = JSON.parse(await readFile(path, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") log("Ignoring unreadable cache file:", path);
+      return 0;
+    }
+
+    if (data?.version !== CACHE_VERSION || !data.entries) {
+      log("Ignoring incompatible cache file:", path);
+      return 0;
+    }
+
+    let loaded = 0;
+    for (const [key, entry] of Object.entries(data.entries)) {
+      if (!entry || this.#isExpired(entry.timestamp)) continue;
+
+      await this.#store.set(key, entry);
+      this.#keys.add(key);
+      loaded++;
+    }
+
+    log("Loaded cache:", { path, entries: loaded });
+    return loaded;
+  }
+
+  // Write the live entries back to the file given to load()
+  async save() {
+    if (!this.#path || !this.#dirty) return false;
+
+    const live = [];
+    for await (const [key, entry] of this.#store.iterator()) {
+      if (entry && !this.#isExpired(entry.timestamp)) live.push([key, entry]);
+    }
+
+    // Sorted keys keep the file stable between identical builds
+    const entries = Object.fromEntries(
+      live.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    );
+
+    await writeFileAtomic(
+      this.#path,
+      JSON.stringify({ version: CACHE_VERSION, entries }, null, 2)
+    );
+    this.#dirty = false;
+
+    log("Saved cache:", { path: this.#path, entries: live.length });
+    return true;
+  }
+
+  #forget(key) {
+    if (this.#keys.delete(key)) {
+      this.#dirty = true;
+    }
+  }
+
   #isExpired(timestamp) {
     return Date.now() - timestamp > this.#ttl;
   }
 
   get size() {
-    return this.#size;
+    return this.#keys.size;
   }
 }
@@ -0,0 +1,287 @@
+// src/directives.js
+
+// Directive names and their aliases
+const ALIASES = {
+  w: "width",
+  width: "width",
+  format: "format",
+  formats: "format",
+  q: "quality",
+  quality: "quality",
+  fit: "fit",
+  ar: "aspectRatio",
+  aspect: "aspectRatio",
+  focus: "position",
+  position: "position",
+  display: "displayWidth",
+  density: "densities",
+  densities: "densities",
+  preset: "preset",
+  nooptimize: "skip",
+  skip: "skip",
+};
+
+const FORMATS = ["webp", "avif", "jpeg", "png"];
+export const FITS = ["cover", "contain", "fill", "inside", "outside"];
+
+// sharp gravities and content-aware strategies
+const POSITIONS = [
+  "center",
+  "centre",
+  "north",
+  "northeast",
+  "east",
+  "southeast",
+  "south",
+  "southwest",
+  "west",
+  "northwest",
+  "top",
+  "right top",
+  "right",
+  "right bottom",
+  "bottom",
+  "left bottom",
+  "left",
+  "left top",
+  "entropy",
+  "attention",
+];
+
+export function parseAspectRatio(value) {
+  // Accepts "16:9", "16/9" or a plain number such as 1.5
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)(?:\s*[:/]\s*(\d+(?:\.\d+)?))?$/);
+  const ratio = match ? Number(match[1]) / Number(match[2] ?? 1) : NaN;
+
+  if (!(ratio > 0) || !Number.isFinite(ratio)) {
+    throw new Error(`Invalid aspect ratio: ${value}`);
+  }
+  return ratio;
+}
+
+// Accepts a named position, a strategy, or a focal point as "x,y" or
+// { x, y } with coordinates from 0 to 1
+export function parsePosition(value) {
+  if (value && typeof value === "object") {
+    const point = toFocalPoint(value.x, value.y);
+    if (!point) throw new Error(`Invalid position: ${JSON.stringify(value)}`);
+    return point;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  if (POSITIONS.includes(text)) return text;
+
+  const [x, y, ...rest] = text.split(",");
+  const point = rest.length ? null : toFocalPoint(x, y);
+  if (!point) throw new Error(`Invalid position: ${value}`);
+  return point;
+}
+
+function toFocalPoint(x, y) {
+  const isCoordinate = (n) =>
+    n !== undefined && String(n).trim() !== "" && n >= 0 && n <= 1;
+
+  return isCoordinate(x) && isCoordinate(y)
+    ? { x: Number(x), y: Number(y) }
+    : null;
+}
+
+// Read per-image directives from an image node. Local images take them from
+// the src query string (photo.jpg?w=400&fit=cover), any image from an
+// `optimize` attribute or a title made only of directives
+// ("w=400 format=png"). Returns the cleaned attributes and the directives.
+export function parseDirectives(attrs, { remote = false } = {}) {
+  const entries = [];
+  let { src, title, optimize, ...rest } = attrs;
+
+  // Query string, on local paths only: remote URLs keep their parameters
+  if (!remote && src.includes("?")) {
+    const [path, query] = src.split("?", 2);
+    const kept = [];
+
+    for (const param of query.split("&").filter(Boolean)) {
+      const [key] = param.split("=", 1);
+      if (ALIASES[key.toLowerCase()]) entries.push(param);
+      else kept.push(param);
+    }
+
+    src = kept.length ? `${path}?${kept.join("&")}` : path;
+  }
+
+  // Attribute, e.g. from {optimize="w=400"} or set by another plugin
+  if (optimize === false) entries.push("skip");
+  else if (typeof optimize === "string") entries.push(...split(optimize));
+
+  // Title, only when every word is a directive
+  if (title) {
+    const words = split(title);
+    if (words.length && words.every(isDirective)) {
+      entries.push(...words);
+      title = undefined;
+    }
+  }
+
+  return {
+    attrs: {
+      ...rest,
+      src,
+      ...(title !== undefined && { title }),
+    },
+    directives: toDirectives(entries),
+  };
+}
+
+function split(value) {
+  return String(value)
+    .split(/[\s&]+/)
+    .filter(Boolean);
+}
+
+// Words of a title that are directives. "Skip" alone is a fair title, so
+// only nooptimize is read there, and without a value
+function isDirective(entry) {
+  const [key, value] = entry.split("=", 2);
+  const name = ALIASES[key.toLowerCase()];
+  if (name === "skip") {
+    return value === undefined && key.toLowerCase() === "nooptimize";
+  }
+
+  return !!name && !!value;
+}
+
+function toDirectives(entries) {
+  const directives = {};
+
+  for (const entry of entries) {
+    const [key, rawValue = ""] = entry.split("=", 2);
+    const value = decodeURIComponent(rawValue);
+
+    switch (ALIASES[key.toLowerCase()]) {
+      case "width": {
+        const widths = value.split(",").map(Number);
+        if (
+          !widths.length ||
+          widths.some((w) => !Number.isInteger(w) || w < 1)
+        ) {
+          throw new Error(`Invalid width directive: ${value}`);
+        }
+        directives.widths = widths;
+        break;
+      }
+
+      case "format": {
+        const formats = value.split(",").map((f) => (f === "jpg" ? "jpeg" : f));
+        const invalid = formats.filter((f) => !FORMATS.includes(f));
+        if (invalid.length) {
+          throw new Error(`Invalid format directive: ${invalid.join(", ")}`);
+        }
+        directives.formats = formats;
+        break;
+      }
+
+      case "quality": {
+        const quality = Number(value);
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+          throw new Error(`Invalid quality directive: ${value}`);
+        }
+        directives.quality = quality;
+        break;
+      }
+
+      case "fit":
+        if (!FITS.includes(value)) {
+          throw new Error(`Invalid fit directive: ${value}`);
+        }
+        directives.fit = value;
+        break;
+
+      case "aspectRatio":
+        directives.aspectRatio = parseAspectRatio(value);
+        break;
+
+      case "position":
+        directives.position = parsePosition(value);
+        break;
+
+      case "displayWidth": {
+        const width = Number(value);
+        if (!Number.isInteger(width) || width < 1) {
+          throw new Error(`Invalid display directive: ${value}`);
+        }
+        directives.displayWidth = width;
+        break;
+      }
+
+      case "densities": {
+        const densities = value
+          .split(",")
+          .map((d) => Number(d.replace(/x$/, "")));
+        if (densities.some((d) => !(d > 0) || d > 4)) {
+          throw new Error(`Invalid density directive: ${value}`);
+        }
+        directives.densities = densities;
+        break;
+      }
+
+      case "preset":
+        if (!value) throw new Error("Missing preset name");
+        directives.preset = value;
+        break;
+
+      case "skip":
+        directives.skip = true;
+        break;
+    }
+  }
+
+  return directives;
+}
+
+// Turn directives into processor options that override the plugin options
+export function applyDirectives(options, directives) {
+  const {
+    widths,
+    formats,
+    quality,
+    fit,
+    aspectRatio,
+    position,
+    displayWidth,
+    densities,
+  } = directives;
+
+  return {
+    ...options,
+    ...(widths && {
+      sizes: widths.map((width) => ({ width, suffix: `w${width}` })),
+    }),
+    ...(formats && { formats }),
+    // An explicit quality turns off the quality search
+    ...(quality && {
+      ...withQuality(options, quality),
+      autoQuality: undefined,
+    }),
+    ...(fit && { fit }),
+    ...(aspectRatio && { aspectRatio }),
+    ...(position && { position }),
+    ...(displayWidth && { displayWidth }),
+    ...(densities && { densities }),
+  };
+}
+
+// A quality set for one image or by a preset also replaces the qualities
+// in formatOptions, which would otherwise win for their formats
+export function withQuality(options, quality) {
+  return {
+    quality,
+    ...(options.formatOptions && {
+      formatOptions: Object.fromEntries(
+        Object.entries(options.formatOptions).map(
+          ([format, { quality: _, ...settings }]) => [format, settings]
+        )
+      ),
+    }),
+  };
+}
@@ -0,0 +1,79 @@
+// src/frontmatter.js
+
+// Special pages the collector stores next to `pages`
+const SPECIAL_PAGES = ["header", "footer", "left", "right"];
+
+// Find image fields in section parameters. Patterns are dot-separated key
+// paths where `*` matches any key or array index, e.g. "cards.*.image".
+// Returns { parent, key } pairs so the caller can replace the values.
+export function findImageFields(params, patterns) {
+  const fields = [];
+
+  for (const pattern of patterns) {
+    collectFields(params, pattern.split("."), fields);
+  }
+
+  return fields;
+}
+
+function collectFields(value, [segment, ...rest], fields) {
+  if (!value || typeof value !== "object") return;
+
+  const keys =
+    segment === "*"
+      ? Object.keys(value)
+      : Object.hasOwn(value, segment)
+      ? [segment]
+      : [];
+
+  for (const key of keys) {
+    if (rest.length) {
+      collectFields(value[key], rest, fields);
+    } else if (
+      isImageValue(value[key]) &&
+      !fields.some((field) => field.parent === value && field.key === key)
+    ) {
+      fields.push({ parent: value, key });
+    }
+  }
+}
+
+// A path, or an object with a src such as { src, alt }
+function isImageValue(value) {
+  return typeof value === "string"
+    ? value.length > 0
+    : typeof value?.src === "string" && value.src.length > 0;
+}
+
+// Every section of the collected site with its page, including subsections
+// and the sections of subpages and special pages
+export function* getSections(output) {
+  const pages = [
+    ...(output?.pages || []),
+    ...SPECIAL_PAGES.map((name) => output?.[name]).filter(Boolean),
+  ];
+
+  for (const page of pages) {
+    yield* getPageSections(page);
+  }
+}
+
+function* getPageSections(page) {
+  for (const section of page.sections || []) {
+    for (const child of getSectionTree(section)) {
+      yield { section: child, page };
+    }
+  }
+  for (const subpage of page.subpages || []) {
+    yield* getPageSections(subpage);
+  }
+}
+
+function* getSectionTree(section) {
+  if (!section) return;
+
+  yield section;
+  for (const child of section.subsections || []) {
+    yield* getSectionTree(child);
+  }
+}
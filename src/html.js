@@ -0,0 +1,87 @@
+// src/html.js
+
+// Node types that hold raw HTML, and where their markup is stored
+const HTML_NODE_TYPES = ["html", "htmlBlock", "htmlInline", "html_block"];
+const HTML_FIELDS = ["html", "content", "value"];
+
+const IMG_TAG = /<img\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi;
+const ATTRIBUTE =
+  /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+export function isHtmlNode(node) {
+  return HTML_NODE_TYPES.includes(node.type) && getHtml(node) !== null;
+}
+
+// Markup is kept in attrs by most schemas, or as text
+export function getHtml(node) {
+  const field = HTML_FIELDS.find(
+    (key) => typeof node.attrs?.[key] === "string"
+  );
+  if (field) return node.attrs[field];
+
+  return typeof node.text === "string" ? node.text : null;
+}
+
+export function setHtml(node, html) {
+  const field = HTML_FIELDS.find(
+    (key) => typeof node.attrs?.[key] === "string"
+  );
+  if (field) node.attrs[field] = html;
+  else node.text = html;
+}
+
+// Replace every <img> tag in the markup with the tag returned by `replace`,
+// which receives the tag's attributes. Returning null keeps the tag.
+export async function replaceImgTags(html, replace) {
+  const tags = [...html.matchAll(IMG_TAG)];
+  const replacements = await Promise.all(
+    tags.map((match) => replace(parseAttributes(match[0])))
+  );
+  let result = "";
+  let last = 0;
+
+  for (const [i, match] of tags.entries()) {
+    const replacement = replacements[i];
+
+    result += html.slice(last, match.index);
+    result += replacement === null ? match[0] : buildImgTag(replacement);
+    last = match.index + match[0].length;
+  }
+
+  return result + html.slice(last);
+}
+
+function parseAttributes(tag) {
+  const attrs = {};
+  const body = tag.replace(/^<img/i, "").replace(/\/?>$/, "");
+
+  for (const [, name, double, single, bare] of body.matchAll(ATTRIBUTE)) {
+    attrs[name.toLowerCase()] = decodeEntities(double ?? single ?? bare ?? "");
+  }
+
+  return attrs;
+}
+
+function buildImgTag(attrs) {
+  const parts = Object.entries(attrs).map(([name, value]) =>
+    value === "" ? name : `${name}="${escapeAttribute(value)}"`
+  );
+
+  return `<img ${parts.join(" ")}>`;
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;");
+}
@@ -1,6 +1,6 @@
 // src/index.js
 export { ImageOptimizerPlugin } from "./plugin.js";
-export { ImageProcessor } from "./processor.js";
+export { ImageProcessor, getSupportedInputTypes } from "./processor.js";
 
 // Create a preconfigured plugin (convenience function)
 export function createImageOptimizer(options = {}) {
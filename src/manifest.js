@@ -0,0 +1,64 @@
+// src/manifest.js
+import debug from "debug";
+import { writeFileAtomic } from "./utils.js";
+
+const log = debug("uniweb:image-optimizer:manifest");
+
+const MANIFEST_VERSION = 1;
+
+// Record of every source image used in a build and the files made from it
+export class Manifest {
+  #sources = new Map();
+
+  get size() {
+    return this.#sources.size;
+  }
+
+  add(source, { original, page, variants = [] }) {
+    if (!this.#sources.has(source)) {
+      this.#sources.set(source, {
+        original,
+        pages: new Set(),
+        variants: new Map(),
+      });
+    }
+
+    const entry = this.#sources.get(source);
+    if (page) entry.pages.add(page);
+
+    // The same source may be encoded with several option sets
+    for (const variant of variants) {
+      entry.variants.set(variant.url, variant);
+    }
+  }
+
+  clear() {
+    this.#sources.clear();
+  }
+
+  // Sorted so identical builds produce identical files
+  toJSON() {
+    const sources = {};
+
+    for (const source of [...this.#sources.keys()].sort()) {
+      const { original, pages, variants } = this.#sources.get(source);
+
+      sources[source] = {
+        ...original,
+        pages: [...pages].sort(),
+        variants: [...variants.keys()].sort().map((url) => {
+          const { width, height, format, bytes, quality, hash } =
+            variants.get(url);
+          return { url, width, height, format, bytes, quality, hash };
+        }),
+      };
+    }
+
+    return { version: MANIFEST_VERSION, sources };
+  }
+
+  async save(path) {
+    await writeFileAtomic(path, JSON.stringify(this, null, 2) + "\n");
+    log("Saved manifest:", { path, sources: this.#sources.size });
+  }
+}
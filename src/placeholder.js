@@ -0,0 +1,68 @@
+// src/placeholder.js
+import sharp from "sharp";
+import { rgbaToThumbHash } from "thumbhash";
+
+export const PLACEHOLDER_TYPES = ["blur", "color", "thumbhash"];
+
+// ThumbHash only accepts images up to 100x100
+const THUMBHASH_SIZE = 100;
+
+export function normalizePlaceholder(option) {
+  if (!option) return null;
+
+  // Shorthand: `placeholder: blur`
+  if (typeof option === "string") return { type: option, size: 16 };
+
+  return { size: 16, ...option };
+}
+
+export async function generatePlaceholder(image, options) {
+  const { type, size } = normalizePlaceholder(options);
+
+  switch (type) {
+    case "blur": {
+      // Tiny blurred preview, small enough to inline as a data URL
+      const buffer = await image
+        .clone()
+        .resize(size, size, { fit: "inside" })
+        .blur()
+        .webp({ quality: 50 })
+        .toBuffer();
+
+      return {
+        type,
+        value: `data:image/webp;base64,${buffer.toString("base64")}`,
+      };
+    }
+
+    case "color": {
+      // Stats are computed on the decoded input, so shrink it first
+      const thumbnail = await image
+        .clone()
+        .resize(64, 64, { fit: "inside" })
+        .toBuffer();
+      const { dominant } = await sharp(thumbnail).stats();
+
+      return { type, value: toHex(dominant) };
+    }
+
+    case "thumbhash": {
+      const { data, info } = await image
+        .clone()
+        .resize(THUMBHASH_SIZE, THUMBHASH_SIZE, { fit: "inside" })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const hash = rgbaToThumbHash(info.width, info.height, data);
+      return { type, value: Buffer.from(hash).toString("base64") };
+    }
+
+    default:
+      throw new Error(`Unknown placeholder type: ${type}`);
+  }
+}
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
@@ -1,20 +1,102 @@
 // src/plugin.js
-import { join, dirname, relative } from "node:path";
-import { mkdir } from "node:fs/promises";
+import { join, dirname, relative, resolve, sep } from "node:path";
+import { mkdir, access, stat } from "node:fs/promises";
+import { setTimeout as delay } from "node:timers/promises";
 import { ProcessorPlugin } from "@uniwebcms/site-content-collector";
 import PQueue from "p-queue";
 import debug from "debug";
 import { ImageProcessor } from "./processor.js";
 import { Cache } from "./cache.js";
-import { isImageNode, resolvePublicPath, validateOptions } from "./utils.js";
+import { Manifest } from "./manifest.js";
+import { Report, normalizeReport } from "./report.js";
+import { BudgetChecker } from "./budgets.js";
+import { OutputFiles } from "./prune.js";
+import { WorkerPool, getDefaultPoolSize } from "./workers.js";
+import { RemoteImageLoader, isRemoteUrl } from "./remote.js";
+import { parseDirectives, applyDirectives } from "./directives.js";
+import { applyPreset } from "./presets.js";
+import { normalizeAutoQuality } from "./quality.js";
+import { findImageFields, getSections } from "./frontmatter.js";
+import { isHtmlNode, getHtml, setHtml, replaceImgTags } from "./html.js";
+import {
+  isImageNode,
+  isImageHref,
+  resolvePublicPath,
+  validateOptions,
+  hashFile,
+  hashObject,
+  readFrontMatter,
+  writeFileAtomic,
+  abortable,
+  linkSignal,
+} from "./utils.js";
 
 const log = debug("uniweb:image-optimizer");
 
+// Downloads of remote images, next to outputDir so they are never deployed
+const DOWNLOAD_DIR = ".image-downloads";
+
+// Cache entry listing the files written to outputDir
+const OUTPUT_FILES_KEY = "output-files";
+
+// File system errors worth another attempt, and the pause before the
+// first retry, doubled for each one after
+const TRANSIENT_ERRORS = ["EAGAIN", "EBUSY", "EMFILE", "ENFILE"];
+const RETRY_DELAY = 100;
+
+// Linked images get one variant at their original size, in a format every
+// browser can open
+const FULL_SIZE = {
+  sizes: [{ width: Infinity, suffix: "full" }],
+  formats: [],
+  fallbackFormat: "auto",
+  aspectRatio: undefined,
+  fit: undefined,
+  position: undefined,
+  displayWidth: null,
+  placeholder: false,
+};
+
+// Images in raw HTML get no <picture> wrapper, so only the fallback
+// format is of use
+const FALLBACK_ONLY = { formats: [] };
+
+// Options that affect the generated files or attributes
+const OUTPUT_OPTIONS = [
+  "publicPath",
+  "filename",
+  "formats",
+  "fallbackFormat",
+  "quality",
+  "autoQuality",
+  "formatOptions",
+  "sizes",
+  "fit",
+  "aspectRatio",
+  "position",
+  "placeholder",
+  "sizesAttribute",
+  "displayWidth",
+  "densities",
+  "svg",
+];
+
 export class ImageOptimizerPlugin extends ProcessorPlugin {
   #processor;
+  #pool;
   #cache;
+  #manifest;
+  #report;
+  #budgets;
+  #outputFiles;
   #queue;
-  #processed;
+  #build;
+  #sourceHashes;
+  #pending;
+  #optionsHash;
+  #frontMatter;
+  #sectionParams;
+  #remote;
 
   constructor(options = {}) {
     super(options);
@@ -23,21 +105,59 @@ export class ImageOptimizerPlugin extends ProcessorPlugin {
       // Output configuration
       outputDir: ".image-cache",
       publicPath: "/images",
+      filename: "[name]-[hash:8]-[width].[ext]",
 
       // Processing options
       formats: ["webp"],
+      fallbackFormat: "auto", // jpeg, or png for images with transparency
       quality: 80,
+      autoQuality: false, // { metric, target, min, max } to search per image
+      formatOptions: {}, // Encoder settings per format, e.g. { avif: { effort: 4 } }
+      placeholder: false, // "blur", "color" or "thumbhash"
+      svg: { rasterize: false }, // Copy SVGs as sanitized markup
+
+      // Remote images are only downloaded from these hosts
+      remote: {
+        allowedHosts: [],
+        timeout: 10000,
+        maxBytes: 20 * 1024 * 1024,
+        dir: DOWNLOAD_DIR, // Relative to the site root, like outputDir
+      },
 
       // Responsive image sizes
+      sizesAttribute: null, // Default `sizes` breakpoints when not set
+      displayWidth: null, // Fixed CSS width: density variants instead of sizes
+      densities: [1, 2, 3],
       sizes: [
         { width: 640, suffix: "sm" },
         { width: 1024, suffix: "md" },
         { width: 1920, suffix: "lg" },
       ],
 
+      // Named option sets, chosen per image or by section component
+      presets: {},
+      componentPresets: {},
+
+      // Front matter keys holding images, "*" matches any key or index
+      frontMatterImages: [], // None by default: front matter is left alone
+
+      // Other images in markdown
+      html: true, // <img> tags in raw HTML
+      links: false, // Links to image files, pointed at a full-size variant
+
       // Performance
       concurrency: 4,
+      workers: "auto", // Encoding threads: a number, "auto" or 0 for none
+      workerMemoryLimit: 1024, // Heap limit of each worker, in MB
+      limitInputPixels: 268402689, // Largest source decoded, sharp's default
+      timeout: 5 * 60 * 1000, // Per image, in ms; 0 for none
+      retries: 2, // Further attempts after transient I/O errors
       cacheTimeout: 7 * 24 * 60 * 60 * 1000, // 1 week
+      cacheFile: "cache-manifest.json", // false keeps the cache in memory only
+      manifest: "images-manifest.json", // Sources and outputs, false to skip
+      report: false, // "table", "json", "markdown" or { format, file }
+      budgets: [], // Weight limits, reported as warnings or errors
+      prune: false, // Delete unused variants: true or { dryRun, gracePeriod }
 
       ...options,
     };
@@ -45,35 +165,208 @@ export class ImageOptimizerPlugin extends ProcessorPlugin {
     validateOptions(this.options);
 
     this.#processor = new ImageProcessor(this.options);
+
+    // Encoding runs in worker threads unless disabled; every worker gets
+    // an image to work on
+    const workers =
+      this.options.workers === "auto"
+        ? getDefaultPoolSize()
+        : this.options.workers;
+    this.#pool = workers
+      ? new WorkerPool({
+          size: workers,
+          memoryLimit: this.options.workerMemoryLimit,
+        })
+      : null;
     this.#cache = new Cache(this.options.cacheTimeout);
-    this.#queue = new PQueue({ concurrency: this.options.concurrency });
-    this.#processed = new Set();
+    this.#manifest = new Manifest();
+    this.#report = new Report();
+    this.#budgets = new BudgetChecker(this.options.budgets);
+    this.#outputFiles = new OutputFiles();
+    this.#queue = new PQueue({
+      concurrency: Math.max(this.options.concurrency, workers || 0),
+    });
+    this.#sourceHashes = new Map();
+    this.#pending = new Map();
+    this.#build = linkSignal(undefined, 0);
+    this.#frontMatter = new Map();
+    this.#sectionParams = new WeakMap();
+    this.#remote = new RemoteImageLoader(this.options.remote);
+
+    // Options that change the generated files are part of every cache key
+    this.#optionsHash = this.#hashOptions(this.options);
   }
 
   async beforeCollect(context) {
     // Ensure output directory exists
-    const outputDir = join(context.resourcePath, "..", this.options.outputDir);
+    const outputDir = this.#getOutputDir(context);
     await mkdir(outputDir, { recursive: true });
 
+    // Each build lists only the images it uses, and rereads section files
+    // and revalidates downloads that may have changed since the last one
+    this.#manifest.clear();
+    this.#frontMatter.clear();
+    this.#sectionParams = new WeakMap();
+    this.#remote.clear();
+    this.#report.start();
+    this.#budgets.reset();
+
+    // Each build can be cancelled, by the collector or through cancel()
+    this.#build.dispose();
+    this.#build = linkSignal(context.signal, 0);
+
+    // Restore results from previous builds
+    if (this.options.cacheFile) {
+      await this.#cache.load(join(outputDir, this.options.cacheFile));
+    }
+    this.#outputFiles.load(await this.#cache.get(OUTPUT_FILES_KEY));
+    this.#outputFiles.start();
+
     log("Initialized with options:", this.options);
   }
 
   async afterCollect(context) {
-    // Wait for all processing to complete
+    // Wait for all processing to complete, then let the workers go
     await this.#queue.onIdle();
+    await this.#pool?.close();
+    this.#build.dispose();
+
+    // A cancelled build did not see every page, so nothing is pruned
+    const { signal } = this.#build;
+    if (signal.aborted) {
+      this.addError(
+        context,
+        `Image processing cancelled: ${signal.reason?.message ?? signal.reason}`
+      );
+    }
+
+    // Delete files no page uses any more
+    if (this.options.prune && !signal.aborted) {
+      try {
+        await this.prune(context);
+      } catch (err) {
+        this.addError(context, `Failed to prune images: ${err.message}`);
+      }
+    }
+
+    // Persist results for the next build
+    try {
+      await this.#cache.set(OUTPUT_FILES_KEY, this.#outputFiles.toJSON());
+      await this.#cache.save();
+    } catch (err) {
+      this.addError(context, `Failed to save image cache: ${err.message}`);
+    }
+
+    // Record what was generated for deploy tooling
+    if (this.options.manifest) {
+      const path = join(this.#getOutputDir(context), this.options.manifest);
+      try {
+        await this.#manifest.save(path);
+      } catch (err) {
+        this.addError(context, `Failed to save manifest: ${err.message}`);
+      }
+    }
 
     // Report processing results
+    this.#report.finish();
+    await this.#writeReport(context);
+
+    const { totals } = this.#report.toJSON();
     log("Processing completed:", {
-      processed: this.#processed.size,
+      processed: totals.cacheMisses,
+      reused: totals.cacheHits,
       cached: this.#cache.size,
       errors: context.errors.length,
     });
+
+    // Page weights are known once every image has been seen
+    this.#reportViolations(context, this.#budgets.checkPages());
+
+    // Budgets with error severity fail the build
+    const { errorCount } = this.#budgets;
+    if (errorCount) {
+      throw new Error(`Image budgets exceeded with ${errorCount} errors`);
+    }
+  }
+
+  // Errors carry a severity so budget warnings can share the error list
+  addError(context, error, severity = "error") {
+    super.addError(context, error);
+    context.errors[context.errors.length - 1].severity = severity;
+  }
+
+  // Sizes, savings and cache use of the last build
+  getReport() {
+    return this.#report.toJSON();
+  }
+
+  // Stop the current build's image processing. Queued images are dropped
+  // and running ones abandoned, removing the files they wrote; afterCollect
+  // then reports the cancellation.
+  cancel(reason = new Error("Build cancelled")) {
+    this.#build.abort(reason);
+  }
+
+  // Forget what is known about a changed file, for file watchers in dev
+  // servers. Takes a source image path, a remote image URL or a section
+  // file; without one, everything is forgotten. Results stay cached by
+  // content, so only images that really changed are processed again.
+  invalidate(path) {
+    if (path === undefined) {
+      this.#sourceHashes.clear();
+      this.#frontMatter.clear();
+      this.#remote.clear();
+      return;
+    }
+
+    if (isRemoteUrl(path)) {
+      this.#remote.clear(path);
+      return;
+    }
+
+    const file = resolve(path);
+    this.#sourceHashes.delete(file);
+    this.#frontMatter.delete(file);
+    log("Invalidated:", file);
+  }
+
+  // Delete generated files that the last build did not use. Options
+  // default to the `prune` option; a dry run only lists the files, in the
+  // debug log and the result, for the caller to print.
+  async prune(context, options = this.options.prune) {
+    return this.#outputFiles.prune(this.#getOutputDir(context), options);
+  }
+
+  async #writeReport(context) {
+    const report = normalizeReport(this.options.report);
+    if (!report) return;
+
+    // Tables are printed unless a file is given
+    if (report.format === "table" && !report.file) {
+      console.log(this.#report.toTable());
+      return;
+    }
+
+    const content = {
+      table: () => this.#report.toTable() + "\n",
+      json: () => JSON.stringify(this.#report, null, 2) + "\n",
+      markdown: () => this.#report.toMarkdown(),
+    }[report.format]();
+
+    try {
+      const path = join(this.#getOutputDir(context), report.file);
+      await writeFileAtomic(path, content);
+      log("Saved report:", path);
+    } catch (err) {
+      this.addError(context, `Failed to save report: ${err.message}`);
+    }
   }
 
   async processContent(content, context) {
     if (!content || content.type !== "doc") return content;
 
     try {
+      await this.#processSectionParams(content, context);
       await this.#processNode(content, context);
       return content;
     } catch (err) {
@@ -82,68 +375,514 @@ export class ImageOptimizerPlugin extends ProcessorPlugin {
     }
   }
 
+  // Optimize the images in front matter parameters, replacing each field
+  // with the attributes an image node would get
+  async processFrontMatter(params, context) {
+    if (!params || typeof params !== "object") return params;
+
+    const fields = findImageFields(params, this.options.frontMatterImages);
+    await Promise.all(
+      fields.map((field) => this.#processField(field, context))
+    );
+
+    return params;
+  }
+
+  // Copy the front matter images optimized during the build into the
+  // collected output: `await plugin.transform(output)`. Sections the build
+  // did not see, as in output collected elsewhere, are optimized here.
+  async transform(output, context) {
+    for (const { section, page } of getSections(output)) {
+      const params = this.#sectionParams.get(section.content);
+      if (params && section.params) {
+        for (const key of Object.keys(section.params)) {
+          if (Object.hasOwn(params, key)) section.params[key] = params[key];
+        }
+        continue;
+      }
+
+      await this.processFrontMatter(section.params, {
+        ...context,
+        currentSection: undefined,
+        component: section.component,
+        page: page.route,
+      });
+    }
+
+    return output;
+  }
+
+  // The collector only passes markdown to processors, so front matter
+  // images are read from the section file and optimized with its markdown,
+  // as part of the build. The results wait for transform(), keyed by the
+  // content the collector puts in the section.
+  async #processSectionParams(content, context) {
+    if (!context.currentSection || !this.options.frontMatterImages.length) {
+      return;
+    }
+
+    const { component, preset, input, ...params } = await this.#getFrontMatter(
+      context
+    );
+    await this.processFrontMatter(params, context);
+    this.#sectionParams.set(content, params);
+  }
+
+  async #processField({ parent, key }, context) {
+    const value = parent[key];
+    if (value.originalSrc) return; // Already optimized
+
+    const node = {
+      type: "image",
+      attrs: typeof value === "string" ? { src: value } : value,
+    };
+    await this.#processImage(node, context);
+
+    // Paths that were not optimized stay plain strings
+    parent[key] =
+      node.attrs.originalSrc || typeof value !== "string"
+        ? node.attrs
+        : node.attrs.src;
+  }
+
   async #processNode(node, context) {
     if (isImageNode(node)) {
       await this.#processImage(node, context);
     }
 
+    if (this.options.html && isHtmlNode(node)) {
+      await this.#processHtml(node, context);
+    }
+
+    if (this.options.links && node.marks) {
+      await this.#processLinks(node, context);
+    }
+
+    // Children start together, so a page's images share the workers; the
+    // queue bounds how many are encoded at once
     if (node.content) {
-      for (const child of node.content) {
-        await this.#processNode(child, context);
-      }
+      await Promise.all(
+        node.content.map((child) => this.#processNode(child, context))
+      );
+    }
+  }
+
+  async #processHtml(node, context) {
+    const html = await replaceImgTags(getHtml(node), async (tagAttrs) => {
+      // Images with their own srcset are managed by the author
+      if (!tagAttrs.src || tagAttrs.srcset) return null;
+
+      const image = { type: "image", attrs: { src: tagAttrs.src } };
+      if (tagAttrs.sizes) image.attrs.sizes = tagAttrs.sizes;
+      await this.#processImage(image, context, FALLBACK_ONLY);
+
+      const { src, srcset, sizes, width, height, originalSrc } = image.attrs;
+      if (!originalSrc) return null;
+
+      // Author-set attributes win, and an author-set width or height
+      // already fixes the layout
+      const sized = tagAttrs.width || tagAttrs.height;
+      return {
+        ...tagAttrs,
+        src,
+        ...(srcset && { srcset }),
+        ...(srcset && sizes && { sizes }),
+        ...(!sized && width && height && { width, height }),
+      };
+    });
+
+    setHtml(node, html);
+  }
+
+  async #processLinks(node, context) {
+    for (const mark of node.marks) {
+      const href = mark.type === "link" && mark.attrs?.href;
+      if (!href || !isImageHref(href)) continue;
+
+      const image = { type: "image", attrs: { src: href } };
+      await this.#processImage(image, context, FULL_SIZE);
+      if (image.attrs.originalSrc) mark.attrs.href = image.attrs.src;
     }
   }
 
-  async #processImage(node, context) {
-    const { src } = node.attrs;
-    if (!src || this.#processed.has(src)) return;
+  async #processImage(node, context, overrides) {
+    const { src: rawSrc } = node.attrs;
+    if (!rawSrc) return;
+
+    // Images on other hosts are left alone unless the host is allowed
+    const remote = isRemoteUrl(rawSrc);
+    if (remote && !this.#isAllowedRemote(rawSrc)) {
+      log("Skipping remote image:", rawSrc);
+      return;
+    }
 
     try {
-      // Resolve image path
-      const imagePath = resolvePublicPath(src, context);
-      const cacheKey = `image:${imagePath}`;
-
-      // Check cache
-      const hasCached = await this.#cache.has(cacheKey);
-      if (hasCached) {
-        const cachedData = await this.#cache.get(cacheKey);
-        node.attrs = {
-          ...node.attrs,
-          ...cachedData,
-        };
+      // Per-image directives override the plugin options
+      const { attrs, directives } = parseDirectives(node.attrs, { remote });
+      const { src, sizes } = attrs;
+      if (directives.skip) {
+        node.attrs = attrs;
         return;
       }
 
-      // Queue processing
-      const result = await this.#queue.add(async () => {
-        log("Processing image:", src);
+      // Presets sit between the plugin options and the directives
+      const preset = await this.#getPreset(directives.preset, context);
+      let options =
+        preset || Object.keys(directives).length
+          ? applyDirectives(applyPreset(this.options, preset), directives)
+          : this.options;
+      if (overrides) options = { ...options, ...overrides };
 
-        const variants = await this.#processor.process(
+      // Resolve image path, downloading remote images first
+      const outputDir = this.#getOutputDir(context);
+      const imagePath = remote
+        ? await this.#remote.load(src, this.#getDownloadDir(context))
+        : resolvePublicPath(src, context);
+
+      // Key on content so unchanged images are reused across builds
+      const hash = await this.#hashSource(imagePath);
+      const optionsHash =
+        options === this.options
+          ? this.#optionsHash
+          : this.#hashOptions(options);
+      const cacheKey = `image:${hash}:${optionsHash}`;
+
+      // Occurrences of an image share one lookup and encode, including
+      // those that arrive while the first is still being processed
+      let pending = this.#pending.get(cacheKey);
+      if (!pending) {
+        pending = this.#load({
+          src: rawSrc,
           imagePath,
-          join(context.resourcePath, "..", this.options.outputDir)
-        );
-
-        // Update node attributes
-        const attrs = {
-          ...node.attrs,
-          srcset: variants.srcset,
-          sizes: variants.sizes,
-          width: variants.width,
-          height: variants.height,
-          originalSrc: src,
-        };
-
-        // Cache results - await the set operation
-        await this.#cache.set(cacheKey, attrs);
-        this.#processed.add(src);
-
-        return attrs;
+          outputDir,
+          hash,
+          cacheKey,
+          options,
+        });
+        this.#pending.set(cacheKey, pending);
+        pending.finally(() => this.#pending.delete(cacheKey)).catch(() => {});
+      }
+      const { result, hit } = await pending;
+      const optimized = result.attrs;
+
+      await this.#record(src, imagePath, result, context, {
+        cacheKey,
+        cached: hit,
       });
 
-      node.attrs = result;
+      // A sizes attribute set by the author wins over configured rules.
+      // Density srcsets of fixed-size images have no use for one
+      node.attrs = {
+        ...attrs,
+        ...optimized,
+        ...(optimized.sizes && {
+          sizes:
+            sizes ||
+            preset?.sizesAttribute ||
+            (await this.#getComponentSizes(context)) ||
+            optimized.sizes,
+        }),
+        originalSrc: src,
+      };
     } catch (err) {
+      // Cancelled images are reported once, by afterCollect
+      if (err === this.#build.signal.reason) return;
+
       log("Error found:", err.message);
-      this.addError(context, `Failed to process image ${src}: ${err.message}`);
+      this.addError(
+        context,
+        `Failed to process image ${rawSrc}: ${err.message}`
+      );
+    }
+  }
+
+  // Transient I/O errors, such as too many open files, get a few more
+  // attempts with a growing pause in between
+  async #encodeWithRetry(imagePath, outputDir, options, job, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.#encode(imagePath, outputDir, options, job, signal);
+      } catch (err) {
+        const retry =
+          attempt < this.options.retries &&
+          TRANSIENT_ERRORS.includes(err.code) &&
+          !signal.aborted;
+        if (!retry) throw err;
+
+        log("Retrying image:", { imagePath, error: err.code });
+        await abortable(delay(RETRY_DELAY * 2 ** attempt), signal);
+      }
+    }
+  }
+
+  #encode(imagePath, outputDir, options, job, signal) {
+    // Workers only get the options that shape the output, which are plain
+    // data
+    if (this.#pool) {
+      return this.#pool.run(
+        {
+          ...job,
+          imagePath,
+          outputDir,
+          options: Object.fromEntries(
+            OUTPUT_OPTIONS.map((key) => [key, options[key]])
+          ),
+        },
+        { signal }
+      );
+    }
+
+    // Images with presets or directives get a processor with their options
+    const processor =
+      options === this.options ? this.#processor : new ImageProcessor(options);
+    return processor.process(imagePath, outputDir, { ...job, signal });
+  }
+
+  // Check cache, then queue processing on a miss. Entries from older
+  // versions lack the variant details the manifest needs
+  async #load(job) {
+    const cached = await this.#cache.get(job.cacheKey);
+    const hit =
+      !!cached?.variants && (await this.#hasFiles(job.outputDir, cached.files));
+    if (hit) return { result: cached, hit };
+
+    return {
+      // Images still queued when the build is cancelled are dropped
+      result: await this.#queue.add(() => {
+        this.#build.signal.throwIfAborted();
+        return this.#optimize(job);
+      }),
+      hit: false,
+    };
+  }
+
+  async #optimize({ src, imagePath, outputDir, hash, cacheKey, options }) {
+    log("Processing image:", src);
+    const started = Date.now();
+
+    // Qualities searched in earlier builds are reused unless the target or
+    // the encoder settings changed
+    const qualityKey =
+      options.autoQuality &&
+      `quality:${hash}:${hashObject({
+        ...normalizeAutoQuality(options.autoQuality),
+        formatOptions: options.formatOptions,
+      })}`;
+    const qualities = qualityKey ? await this.#cache.get(qualityKey) : null;
+
+    // The timeout covers every attempt
+    const { timeout } = this.options;
+    const { signal, dispose } = linkSignal(
+      this.#build.signal,
+      timeout,
+      new Error(`Timed out after ${timeout} ms`)
+    );
+    const job = {
+      hash,
+      qualities: qualities || undefined,
+      limitInputPixels: this.options.limitInputPixels,
+    };
+    let variants;
+    try {
+      variants = await this.#encodeWithRetry(
+        imagePath,
+        outputDir,
+        options,
+        job,
+        signal
+      );
+    } finally {
+      dispose();
+    }
+    if (variants.qualities) {
+      await this.#cache.set(qualityKey, {
+        ...qualities,
+        ...variants.qualities,
+      });
+    }
+
+    // Optimized attributes shared by every node using this image. SVGs
+    // have no srcset, and an SVG without dimensions has no width or height
+    const attrs = Object.fromEntries(
+      Object.entries({
+        src: variants.src,
+        srcset: variants.srcset,
+        sources: variants.sources,
+        sizes: variants.sizes,
+        width: variants.width,
+        height: variants.height,
+        placeholder: variants.placeholder,
+      }).filter(([, value]) => value !== undefined)
+    );
+
+    // Details of each file for the manifest
+    const files = await Promise.all(
+      variants.variants.map(async (variant) => ({
+        url: variant.url,
+        width: variant.width,
+        height: variant.height,
+        format: variant.format,
+        bytes: variant.bytes,
+        quality: variant.quality,
+        hash: await hashFile(variant.path),
+      }))
+    );
+
+    // Cache results - await the set operation
+    const result = {
+      attrs,
+      files: variants.variants.map((variant) =>
+        relative(outputDir, variant.path)
+      ),
+      variants: files,
+      original: variants.original,
+      qualities: variants.qualities,
+    };
+    await this.#cache.set(cacheKey, result);
+
+    return { ...result, durationMs: Date.now() - started };
+  }
+
+  async #record(src, imagePath, result, context, { cacheKey, cached }) {
+    const { original, variants, durationMs } = result;
+    this.#outputFiles.use(result.files);
+
+    // Local sources are listed by their path in the site, remote ones by URL
+    const source = isRemoteUrl(src)
+      ? src
+      : relative(join(context.resourcePath, ".."), imagePath)
+          .split(sep)
+          .join("/");
+    const { size: bytes } = await stat(imagePath);
+
+    this.#manifest.add(source, {
+      original: { ...original, bytes },
+      page: context.page ?? this.#getPageRoute(context),
+      variants,
+    });
+    this.#report.add(cacheKey, {
+      source,
+      originalBytes: bytes,
+      variants,
+      cached,
+      durationMs,
+    });
+
+    if (this.#budgets.enabled) {
+      const violations = this.#budgets.checkImage(cacheKey, {
+        source,
+        original: { ...original, bytes },
+        variants,
+        page: context.page ?? this.#getPageRoute(context),
+      });
+      this.#reportViolations(context, violations);
+    }
+  }
+
+  #reportViolations(context, violations) {
+    for (const { severity, message } of violations) {
+      this.addError(context, message, severity);
+    }
+  }
+
+  async #getComponentSizes(context) {
+    const { sizesAttribute } = this.options;
+    if (!sizesAttribute?.components) return null;
+
+    const component = await this.#getComponent(context);
+    return component ? sizesAttribute.components[component] || null : null;
+  }
+
+  async #getPreset(name, context) {
+    const { presets, componentPresets } = this.options;
+
+    // Without a preset in the image, use the one mapped to the component
+    if (!name && Object.keys(componentPresets).length) {
+      const component = await this.#getComponent(context);
+      name = component && componentPresets[component];
+    }
+    if (!name) return null;
+
+    if (!Object.hasOwn(presets, name)) {
+      throw new Error(`Unknown preset: ${name}`);
+    }
+    return presets[name];
+  }
+
+  async #getComponent(context) {
+    // Front matter images carry their section's component in the context
+    if (context.component !== undefined) return context.component;
+
+    const { component } = await this.#getFrontMatter(context);
+    return component;
+  }
+
+  #getFrontMatter(context) {
+    // Images are processed per section, so read each section file once
+    if (!context.currentSection) return Promise.resolve({});
+    const file = resolve(context.currentSection);
+
+    if (!this.#frontMatter.has(file)) {
+      this.#frontMatter.set(
+        file,
+        readFrontMatter(file).catch((err) => {
+          log("Could not read front matter:", file, err.message);
+          return {};
+        })
+      );
+    }
+
+    return this.#frontMatter.get(file);
+  }
+
+  // Content hash of a source image, computed again only when its size or
+  // modification time changes
+  async #hashSource(imagePath) {
+    const { size, mtimeMs } = await stat(imagePath);
+    const known = this.#sourceHashes.get(imagePath);
+    if (known?.size === size && known.mtimeMs === mtimeMs) return known.hash;
+
+    const hash = await hashFile(imagePath);
+    this.#sourceHashes.set(imagePath, { size, mtimeMs, hash });
+    return hash;
+  }
+
+  #hashOptions(options) {
+    return hashObject(
+      Object.fromEntries(OUTPUT_OPTIONS.map((key) => [key, options[key]]))
+    );
+  }
+
+  #isAllowedRemote(src) {
+    try {
+      return this.#remote.isAllowed(src);
+    } catch {
+      return false; // Not a valid URL
+    }
+  }
+
+  #getPageRoute(context) {
+    if (!context.currentFile) return null;
+
+    const path = relative(context.resourcePath, context.currentFile);
+    return "/" + path.split(sep).join("/");
+  }
+
+  #getOutputDir(context) {
+    return join(context.resourcePath, "..", this.options.outputDir);
+  }
+
+  #getDownloadDir(context) {
+    const dir = this.options.remote.dir ?? DOWNLOAD_DIR;
+    return join(context.resourcePath, "..", dir);
+  }
+
+  async #hasFiles(outputDir, files = []) {
+    try {
+      await Promise.all(files.map((file) => access(join(outputDir, file))));
+      return true;
+    } catch {
+      return false;
     }
   }
 }
@@ -153,10 +892,30 @@ export class ImageOptimizerPlugin extends ProcessorPlugin {
 images:
   outputDir: .image-cache
   publicPath: /images
+  filename: "[name]-[hash:8]-[width].[ext]"
   formats:
     - webp
     - avif
+  fallbackFormat: auto
   quality: 80
+  autoQuality:
+    metric: ssim
+    target: 0.98
+  formatOptions:
+    avif:
+      effort: 4
+    jpeg:
+      progressive: true
+  placeholder: blur
+  svg:
+    rasterize: false
+  remote:
+    allowedHosts:
+      - images.example.com
+      - "*.cdn.example.com"
+    timeout: 10000
+    maxBytes: 20971520
+    dir: .image-downloads
   sizes:
     - width: 640
       suffix: sm
@@ -164,5 +923,47 @@ images:
       suffix: md
     - width: 1920
       suffix: lg
+  sizesAttribute:
+    default: "(max-width: 768px) 100vw, 50vw"
+    components:
+      Hero: 100vw
+      Sidebar: 300px
+  presets:
+    hero:
+      sizes:
+        - width: 1280
+          suffix: md
+        - width: 2560
+          suffix: lg
+      aspectRatio: "16:9"
+      sizesAttribute: 100vw
+    avatar:
+      displayWidth: 96
+      densities: [1, 2]
+      aspectRatio: 1
+      fit: cover
+  componentPresets:
+    Hero: hero
+  frontMatterImages:
+    - image
+    - background
+    - cards.*.image
   concurrency: 4
+  workers: auto
+  timeout: 300000
+  retries: 2
+  cacheFile: cache-manifest.json
+  manifest: images-manifest.json
+  report: markdown
+  budgets:
+    - maxSourceBytes: 5242880
+      maxVariantBytes: 512000
+      maxPageBytes: 2097152
+      severity: warn
+    - path: "public/img/heroes/**"
+      maxSourceWidth: 4000
+      severity: error
+  prune:
+    dryRun: false
+    gracePeriod: 86400000
 */
@@ -0,0 +1,33 @@
+// src/presets.js
+import { parseAspectRatio, withQuality } from "./directives.js";
+
+// Options a preset may set
+export const PRESET_OPTIONS = [
+  "sizes",
+  "formats",
+  "fallbackFormat",
+  "quality",
+  "autoQuality",
+  "fit",
+  "aspectRatio",
+  "position",
+  "placeholder",
+  "sizesAttribute",
+  "displayWidth",
+  "densities",
+];
+
+// Layer a preset over the plugin options. Aspect ratios may be written as
+// "16:9" in the config
+export function applyPreset(options, preset) {
+  if (!preset) return options;
+
+  return {
+    ...options,
+    ...preset,
+    ...(preset.quality !== undefined && withQuality(options, preset.quality)),
+    ...(preset.aspectRatio !== undefined && {
+      aspectRatio: parseAspectRatio(preset.aspectRatio),
+    }),
+  };
+}
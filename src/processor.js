@@ -1,119 +1,499 @@
 // src/processor.js
 import { join, parse } from "node:path";
+import { readFile, writeFile } from "node:fs/promises";
 import sharp from "sharp";
+import PQueue from "p-queue";
 import { fileTypeFromFile } from "file-type";
 import debug from "debug";
+import {
+  hashFile,
+  generateImageId,
+  formatFilename,
+  resolveSizesAttribute,
+  MIME_TYPES,
+  abortable,
+  removeFiles,
+} from "./utils.js";
+import { generatePlaceholder } from "./placeholder.js";
+import { isSvgFile, optimizeSvg, getSvgDimensions } from "./svg.js";
+import { parseAspectRatio, parsePosition } from "./directives.js";
+import {
+  findQuality,
+  normalizeAutoQuality,
+  SEARCHABLE_FORMATS,
+} from "./quality.js";
 
 const log = debug("uniweb:image-optimizer:processor");
 
+const DEFAULT_FILENAME = "[name]-[hash:8]-[width].[ext]";
+
+// Order of <source> elements; browsers use the first type they support
+const SOURCE_PRIORITY = ["avif", "webp", "png", "jpeg", "gif"];
+
+// Formats every browser can display
+const FALLBACK_FORMATS = { jpeg: true, png: true };
+
+// Variants of one image encoded at once. Each decodes the source, so this
+// bounds the memory an image takes however many sizes and formats it has
+const ENCODES_PER_IMAGE = 2;
+
+// Pixel densities of fixed-size images, when not configured
+const DEFAULT_DENSITIES = [1, 2, 3];
+
+// Encoder settings used unless `formatOptions` overrides them
+const ENCODER_DEFAULTS = {
+  webp: { effort: 6 },
+  avif: { effort: 6 },
+  jpeg: { mozjpeg: true },
+  png: { effort: 6, palette: true },
+  gif: { effort: 7 },
+};
+
+// Quicker settings for the encodes of the quality search: effort changes
+// file size much more than how the result looks
+const SEARCH_ENCODER = {
+  webp: { effort: 2 },
+  avif: { effort: 2 },
+  png: { effort: 1 },
+};
+
+// Detected file extensions mapped to the sharp format that decodes them
+const INPUT_FORMATS = {
+  jpg: "jpeg",
+  png: "png",
+  webp: "webp",
+  avif: "heif",
+  heic: "heif",
+  gif: "gif",
+  tif: "tiff",
+};
+
+// Inputs that may hold several frames, and outputs that can keep them
+const ANIMATED_INPUTS = ["gif", "webp"];
+const ANIMATED_OUTPUTS = ["webp", "gif"];
+
+// Extensions the installed sharp build can decode
+export function getSupportedInputTypes() {
+  return Object.keys(INPUT_FORMATS).filter(
+    (ext) => sharp.format?.[INPUT_FORMATS[ext]]?.input?.file
+  );
+}
+
 export class ImageProcessor {
   constructor(options = {}) {
     this.options = options;
   }
 
-  async process(imagePath, outputDir) {
-    // Get image type and validate
-    const type = await fileTypeFromFile(imagePath);
-    if (!type || !["jpg", "jpeg", "png", "webp", "avif"].includes(type.ext)) {
+  // Optimize one image into outputDir. Aborting the signal rejects at
+  // once with its reason; files already written are removed as soon as
+  // the encoders still running finish, since sharp cannot stop them.
+  // onFile is called with each output file as it is started, and sources
+  // over limitInputPixels are rejected before they are decoded.
+  async process(
+    imagePath,
+    outputDir,
+    { hash, qualities, signal, onFile, limitInputPixels } = {}
+  ) {
+    signal?.throwIfAborted();
+
+    const files = [];
+    const addFile = (path) => {
+      files.push(path);
+      onFile?.(path);
+    };
+    const processing = this.#process(imagePath, outputDir, {
+      hash,
+      qualities,
+      signal,
+      addFile,
+      limitInputPixels,
+    })
+      .then((result) => {
+        signal?.throwIfAborted();
+        return result;
+      })
+      .catch(async (err) => {
+        await removeFiles(files);
+        throw err;
+      });
+
+    return abortable(processing, signal);
+  }
+
+  async #process(
+    imagePath,
+    outputDir,
+    { hash, qualities, signal, addFile, limitInputPixels }
+  ) {
+    // SVGs are copied as sanitized markup unless rasterizing is enabled
+    const svg = isSvgFile(imagePath);
+    if (svg && !this.options.svg?.rasterize) {
+      return this.#processSvg(imagePath, outputDir, { hash, signal, addFile });
+    }
+
+    // Get image type and validate (SVG is text, so file-type cannot detect it)
+    const type = svg ? { ext: "svg" } : await fileTypeFromFile(imagePath);
+    if (!svg && (!type || !getSupportedInputTypes().includes(type.ext))) {
       throw new Error(`Unsupported image type: ${type?.ext || "unknown"}`);
     }
 
-    // Load image
-    const image = sharp(imagePath);
-    const metadata = await image.metadata();
+    // Load image, keeping every frame of animations
+    const limits = limitInputPixels === undefined ? {} : { limitInputPixels };
+    const image = sharp(imagePath, {
+      ...limits,
+      ...(svg
+        ? { density: await this.#getSvgDensity(imagePath) }
+        : { animated: ANIMATED_INPUTS.includes(type.ext) }),
+    });
+    const metadata = await this.#readMetadata(image);
+    signal?.throwIfAborted();
+
+    // Content-based ID used in variant filenames. Searched qualities follow
+    // from the source and the target, so the target stands in for them
+    const { quality, formatOptions, fit, aspectRatio, position, displayWidth } =
+      this.options;
+    const autoQuality = normalizeAutoQuality(this.options.autoQuality);
+    const crops = this.#getSizes().filter(
+      (size) => size.height || size.aspectRatio || size.fit || size.position
+    );
+    const id = generateImageId(hash || (await hashFile(imagePath)), {
+      quality: autoQuality ? undefined : quality,
+      autoQuality: autoQuality || undefined,
+      formatOptions:
+        formatOptions && Object.keys(formatOptions).length
+          ? formatOptions
+          : undefined,
+      fit,
+      aspectRatio,
+      position,
+      crops: crops.length ? crops : undefined,
+    });
+
+    // Every image also gets a fallback format for the <img> element
+    const fallback = this.#getFallbackFormat(metadata);
+    const formats = [
+      ...new Set([...this.#getOutputFormats(metadata), fallback]),
+    ];
+
+    // Quality per format, searched once per image unless already known
+    const chosen = autoQuality
+      ? await this.#findQualities(image, metadata, formats, qualities, signal)
+      : {};
 
     // Generate variants for each size and format
     const variants = await this.#generateVariants(
       image,
       metadata,
       imagePath,
-      outputDir
+      outputDir,
+      id,
+      formats,
+      chosen,
+      { signal, addFile }
     );
 
-    // Generate srcset string
-    const srcset = this.#generateSrcset(variants);
+    // Fallback variants go on the <img>, the others become <source> entries
+    const fallbackVariants = variants.filter((v) => v.format === fallback);
+    const largest = fallbackVariants.reduce((a, b) =>
+      b.width > a.width ? b : a
+    );
+
+    const sources = formats
+      .filter((format) => format !== fallback)
+      .sort((a, b) => SOURCE_PRIORITY.indexOf(a) - SOURCE_PRIORITY.indexOf(b))
+      .map((format) => ({
+        type: MIME_TYPES[format],
+        srcset: this.#generateSrcset(
+          variants.filter((v) => v.format === format)
+        ),
+      }));
+
+    // Optional low-quality placeholder shown while the image loads, taken
+    // from the first frame of animations
+    signal?.throwIfAborted();
+    const placeholder = this.options.placeholder
+      ? await generatePlaceholder(
+          metadata.animated ? sharp(imagePath, limits) : image,
+          this.options.placeholder
+        )
+      : undefined;
 
     return {
-      srcset,
-      sizes: this.#generateSizes(variants),
-      width: metadata.width,
-      height: metadata.height,
+      src: largest.url,
+      srcset: this.#generateSrcset(fallbackVariants),
+      sources,
+      // Density srcsets select by screen, not layout, so need no sizes
+      sizes: displayWidth ? undefined : this.#generateSizes(),
+      ...this.#getDisplaySize(largest, metadata),
       format: type.ext,
+      animated: metadata.animated,
+      placeholder,
+      original: {
+        width: metadata.width,
+        height: metadata.height,
+        format: type.ext,
+      },
       variants,
+      ...(autoQuality && { qualities: chosen }),
+    };
+  }
+
+  async #findQualities(image, metadata, formats, known = {}, signal) {
+    const qualities = {};
+
+    // Animations keep the configured quality: searching every frame would
+    // cost more than it saves
+    if (metadata.animated) return qualities;
+
+    for (const format of formats) {
+      if (!this.#canSearch(format)) continue;
+
+      qualities[format] =
+        known[format] ??
+        (await findQuality(image, this.options.autoQuality, (source, q) => {
+          signal?.throwIfAborted();
+          return this.#encode(source, format, q, { fast: true });
+        }));
+      log("Chose quality:", { format, quality: qualities[format] });
+    }
+
+    return qualities;
+  }
+
+  async #processSvg(imagePath, outputDir, { hash, signal, addFile }) {
+    const markup = optimizeSvg(await readFile(imagePath, "utf8"));
+    const { width, height } = getSvgDimensions(markup);
+
+    const id = generateImageId(hash || (await hashFile(imagePath)), {
+      svg: "optimized",
+    });
+    const filename = formatFilename(this.options.filename || DEFAULT_FILENAME, {
+      name: parse(imagePath).name,
+      hash: id,
+      width: width ?? "auto",
+      height: height ?? "auto",
+      suffix: "original",
+      ext: "svg",
+    });
+    const outputPath = join(outputDir, filename);
+
+    addFile(outputPath);
+    await writeFile(outputPath, markup, { signal });
+    log("Copied SVG:", { output: outputPath });
+
+    const variant = {
+      width,
+      height,
+      format: "svg",
+      bytes: Buffer.byteLength(markup),
+      path: outputPath,
+      url: `${this.options.publicPath}/${filename}`,
+    };
+
+    // Vector images scale freely, so one file serves every size and
+    // density. Fixed-size images keep their display size
+    const { displayWidth } = this.options;
+    const display = displayWidth
+      ? {
+          width: displayWidth,
+          height:
+            width && height
+              ? Math.round((displayWidth * height) / width)
+              : undefined,
+        }
+      : { width, height };
+
+    return {
+      src: variant.url,
+      sources: [],
+      ...display,
+      format: "svg",
+      original: { width, height, format: "svg" },
+      variants: [variant],
+    };
+  }
+
+  async #getSvgDensity(imagePath) {
+    // Render at a density that covers the largest size without upscaling
+    const { width } = getSvgDimensions(await readFile(imagePath, "utf8"));
+    // Full-size variants have an infinite width and keep the intrinsic size
+    const largest = Math.max(
+      ...this.#getSizes()
+        .map((size) => size.width)
+        .filter(Number.isFinite)
+    );
+    if (!width || largest <= width) return 72;
+
+    return Math.min(Math.ceil((72 * largest) / width), 2400);
+  }
+
+  async #readMetadata(image) {
+    const metadata = await image.metadata();
+    const animated = (metadata.pages || 1) > 1;
+
+    // Frames of animations are stacked vertically, so the reported height
+    // covers all of them
+    return {
+      ...metadata,
+      height: animated ? metadata.pageHeight : metadata.height,
+      animated,
     };
   }
 
-  async #generateVariants(image, metadata, imagePath, outputDir) {
+  #getOutputFormats(metadata) {
+    if (!metadata.animated) return this.options.formats;
+
+    // Drop formats that would flatten the animation to its first frame
+    const formats = this.options.formats.filter((format) =>
+      ANIMATED_OUTPUTS.includes(format)
+    );
+    if (formats.length < this.options.formats.length) {
+      log("Skipping formats that cannot be animated:", {
+        formats: this.options.formats.filter((f) => !formats.includes(f)),
+      });
+    }
+
+    return formats;
+  }
+
+  #getFallbackFormat(metadata) {
+    const { fallbackFormat = "auto" } = this.options;
+    if (fallbackFormat !== "auto") return fallbackFormat;
+
+    // GIF keeps animation, PNG keeps transparency, JPEG is smaller for
+    // everything else
+    if (metadata.animated) return "gif";
+
+    // A configured format that every browser supports needs no extra files
+    const universal = this.options.formats.find((f) => FALLBACK_FORMATS[f]);
+    if (universal) return universal;
+
+    return metadata.hasAlpha ? "png" : "jpeg";
+  }
+
+  async #generateVariants(
+    image,
+    metadata,
+    imagePath,
+    outputDir,
+    id,
+    formats,
+    qualities,
+    { signal, addFile }
+  ) {
     const { name } = parse(imagePath);
-    const variants = [];
-
-    for (const size of this.options.sizes) {
-      for (const format of this.options.formats) {
-        const variant = await this.#createVariant(image, metadata, {
-          name,
-          size,
-          format,
-          outputDir,
-        });
-        variants.push(variant);
-      }
+
+    // Sizes larger than the source all clamp to its width. srcset takes
+    // one candidate per width, so only the first size of each is kept
+    const widths = new Set();
+    const configured = this.#getSizes();
+    const sizes = configured.filter((size) => {
+      const { width } = this.#getDimensions(metadata, size);
+      if (widths.has(width)) return false;
+      widths.add(width);
+      return true;
+    });
+    if (sizes.length < configured.length) {
+      log("Skipping sizes with the width of an earlier one:", {
+        sizes: configured
+          .filter((size) => !sizes.includes(size))
+          .map((size) => size.suffix),
+      });
     }
 
-    return variants;
+    // Encode a few sizes and formats at once; sharp runs each on its own
+    // thread. Results keep the size-then-format order. A failure waits
+    // for the other encoders so their files can be removed.
+    const encodes = new PQueue({ concurrency: ENCODES_PER_IMAGE });
+    const results = await Promise.allSettled(
+      sizes.flatMap((size) =>
+        formats.map((format) =>
+          encodes.add(() =>
+            this.#createVariant(image, metadata, {
+              name,
+              size,
+              format,
+              outputDir,
+              id,
+              quality: qualities[format],
+              signal,
+              addFile,
+            })
+          )
+        )
+      )
+    );
+
+    const failed = results.find((result) => result.status === "rejected");
+    if (failed) throw failed.reason;
+    return results.map((result) => result.value);
   }
 
-  async #createVariant(image, metadata, { name, size, format, outputDir }) {
+  async #createVariant(
+    image,
+    metadata,
+    {
+      name,
+      size,
+      format,
+      outputDir,
+      id,
+      quality = this.#getQuality(format),
+      signal,
+      addFile,
+    }
+  ) {
     const { width: targetWidth, suffix } = size;
+    const { aspectRatio, fit, position } = this.#getCropOptions(size);
+    let { width, height } = this.#getDimensions(metadata, size);
+    const { displayWidth } = this.options;
 
-    // Calculate dimensions maintaining aspect ratio
-    const width = Math.min(targetWidth, metadata.width);
-    const height = Math.round((metadata.height * width) / metadata.width);
+    // Density of fixed-size images, below the requested one when the
+    // source is small. Taken before sharp rounds the size
+    const density = displayWidth
+      ? Number((width / displayWidth).toFixed(2))
+      : undefined;
 
     // Create variant filename
-    const filename = `${name}-${suffix}.${format}`;
+    const filename = formatFilename(this.options.filename || DEFAULT_FILENAME, {
+      name,
+      hash: id,
+      width,
+      height,
+      suffix,
+      ext: format,
+    });
     const outputPath = join(outputDir, filename);
 
-    // Process image
-    let processor = image.clone().resize(width, height, {
-      fit: "inside",
-      withoutEnlargement: true,
-    });
+    // Process image. Focal points crop the source around the point first,
+    // since sharp only positions by gravity or strategy
+    const focal = typeof position === "object" && fit === "cover";
+    let processor = image.clone();
+    if (focal) {
+      processor = processor.extract(
+        getFocalRegion(metadata, width / height, position)
+      );
+    }
+    // Uncropped sizes resize by width only: a rounded height would make
+    // sharp shrink the width by a pixel to keep the aspect ratio
+    processor = aspectRatio
+      ? processor.resize(width, height, {
+          fit: focal ? "fill" : fit,
+          ...(typeof position === "string" && { position }),
+          withoutEnlargement: true,
+        })
+      : processor.resize({ width, withoutEnlargement: true });
 
     // Apply format-specific optimization
-    switch (format) {
-      case "webp":
-        processor = processor.webp({
-          quality: this.options.quality,
-          effort: 6,
-        });
-        break;
-
-      case "avif":
-        processor = processor.avif({
-          quality: this.options.quality,
-          effort: 6,
-        });
-        break;
-
-      case "jpeg":
-      case "jpg":
-        processor = processor.jpeg({
-          quality: this.options.quality,
-          mozjpeg: true,
-        });
-        break;
-
-      case "png":
-        processor = processor.png({
-          quality: this.options.quality,
-          effort: 6,
-          palette: true,
-        });
-        break;
-    }
+    processor = this.#encode(processor, format, quality);
 
-    // Save variant
-    await processor.toFile(outputPath);
+    // Save variant. Fits like inside or outside may not fill the box, so
+    // keep the size sharp reports
+    signal?.throwIfAborted();
+    addFile(outputPath);
+    const info = await processor.toFile(outputPath);
+    width = info?.width ?? width;
+    height = info?.pageHeight ?? info?.height ?? height;
 
     log("Created variant:", {
       size: targetWidth,
@@ -125,19 +505,125 @@ export class ImageProcessor {
       width,
       height,
       format,
+      bytes: info?.size,
+      ...(density && { density }),
+      ...(format !== "gif" && { quality }),
+      cropped: Boolean(aspectRatio),
       path: outputPath,
       url: `${this.options.publicPath}/${filename}`,
     };
   }
 
+  #encode(processor, format, quality, { fast = false } = {}) {
+    if (format === "jpg") format = "jpeg";
+    if (!ENCODER_DEFAULTS[format]) return processor;
+
+    return processor[format]({
+      ...ENCODER_DEFAULTS[format],
+      ...this.options.formatOptions?.[format],
+      ...(fast && SEARCH_ENCODER[format]),
+      ...(format !== "gif" && { quality }),
+    });
+  }
+
+  // Quality of a format, unless searched: its own setting or the shared one
+  #getQuality(format) {
+    return (
+      this.options.formatOptions?.[format]?.quality ?? this.options.quality
+    );
+  }
+
+  // The search only applies where the quality setting is used and not
+  // fixed for the format
+  #canSearch(format) {
+    const settings = this.options.formatOptions?.[format] || {};
+
+    return (
+      SEARCHABLE_FORMATS.includes(format) &&
+      settings.quality === undefined &&
+      !settings.lossless &&
+      !(format === "png" && settings.palette === false)
+    );
+  }
+
+  // Calculate dimensions maintaining the aspect ratio of the source, or
+  // the one of the size or image options when cropping, without upscaling
+  #getDimensions(metadata, size) {
+    const { aspectRatio } = this.#getCropOptions(size);
+    const width = Math.min(
+      size.width,
+      metadata.width,
+      aspectRatio ? Math.floor(metadata.height * aspectRatio) : Infinity
+    );
+    const height = Math.round(
+      aspectRatio
+        ? width / aspectRatio
+        : (metadata.height * width) / metadata.width
+    );
+
+    return { width, height };
+  }
+
+  #getCropOptions(size) {
+    // A height or aspect ratio on the size wins over the image options
+    const ratio =
+      size.aspectRatio ??
+      (size.height ? size.width / size.height : this.options.aspectRatio);
+    const aspectRatio = ratio ? parseAspectRatio(ratio) : undefined;
+    const position = size.position ?? this.options.position;
+
+    return {
+      aspectRatio,
+      fit: size.fit || this.options.fit || (aspectRatio ? "cover" : "inside"),
+      position: position !== undefined ? parsePosition(position) : undefined,
+    };
+  }
+
+  // Fixed-size images get a variant per pixel density instead of the
+  // configured sizes
+  #getSizes() {
+    const { displayWidth, densities = DEFAULT_DENSITIES } = this.options;
+    if (!displayWidth) return this.options.sizes;
+
+    return densities.map((density) => ({
+      width: Math.round(displayWidth * density),
+      suffix: `${density}x`,
+    }));
+  }
+
+  // Dimensions for the width and height attributes: the display size of
+  // fixed-size images, the largest variant of cropped ones, otherwise the
+  // source
+  #getDisplaySize(largest, metadata) {
+    const { displayWidth } = this.options;
+    if (displayWidth) {
+      return {
+        width: displayWidth,
+        height: Math.round((displayWidth * largest.height) / largest.width),
+      };
+    }
+
+    return largest.cropped
+      ? { width: largest.width, height: largest.height }
+      : { width: metadata.width, height: metadata.height };
+  }
+
   #generateSrcset(variants) {
     return variants
-      .map((variant) => `${variant.url} ${variant.width}w`)
+      .map((variant) =>
+        variant.density
+          ? `${variant.url} ${variant.density}x`
+          : `${variant.url} ${variant.width}w`
+      )
       .join(", ");
   }
 
-  #generateSizes(variants) {
-    // Generate sizes attribute based on available widths
+  #generateSizes() {
+    // Use the configured default when there is one
+    const configured = resolveSizesAttribute(this.options.sizesAttribute);
+    if (configured) return configured;
+
+    // Generate sizes attribute based on common breakpoints
     const breakpoints = [
       { max: 640, size: "100vw" },
       { max: 1024, size: "50vw" },
@@ -150,3 +636,21 @@ export class ImageProcessor {
       .join(", ");
   }
 }
+
+// Largest region with the given aspect ratio that is centered on a focal
+// point, shifted as needed to stay inside the image
+function getFocalRegion({ width, height }, aspectRatio, { x, y }) {
+  const regionWidth = Math.min(width, Math.round(height * aspectRatio));
+  const regionHeight = Math.min(height, Math.round(width / aspectRatio));
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return {
+    left: clamp(Math.round(x * width - regionWidth / 2), width - regionWidth),
+    top: clamp(
+      Math.round(y * height - regionHeight / 2),
+      height - regionHeight
+    ),
+    width: regionWidth,
+    height: regionHeight,
+  };
+}
@@ -0,0 +1,93 @@
+// src/prune.js
+import { join, isAbsolute } from "node:path";
+import { unlink } from "node:fs/promises";
+import debug from "debug";
+
+const log = debug("uniweb:image-optimizer:prune");
+
+const DEFAULTS = {
+  dryRun: false,
+  gracePeriod: 24 * 60 * 60 * 1000, // 1 day
+};
+
+export function normalizePrune(option) {
+  if (!option) return null;
+
+  // Shorthand: `prune: true`
+  return { ...DEFAULTS, ...(option === true ? {} : option) };
+}
+
+// Files the plugin wrote to outputDir, with the time a build last used each
+// of them. Only files listed here are ever pruned, so anything else in
+// outputDir is left alone.
+export class OutputFiles {
+  #files = new Map();
+  #used = new Set();
+
+  // Restore the list saved by toJSON() in an earlier build
+  load(files) {
+    this.#files.clear();
+    for (const [file, lastUsed] of Object.entries(files || {})) {
+      if (isSafePath(file) && Number.isFinite(lastUsed)) {
+        this.#files.set(file, lastUsed);
+      }
+    }
+  }
+
+  // Start a build: nothing is used yet
+  start() {
+    this.#used.clear();
+  }
+
+  // Mark files, relative to outputDir, as used by this build
+  use(files = []) {
+    const now = Date.now();
+    for (const file of files) {
+      this.#files.set(file, now);
+      this.#used.add(file);
+    }
+  }
+
+  // Delete the files this build did not use and no build used within the
+  // grace period. A dry run only lists them.
+  async prune(outputDir, options) {
+    const { dryRun, gracePeriod } = normalizePrune(options || true);
+    const now = Date.now();
+    const files = [];
+
+    for (const [file, lastUsed] of this.#files) {
+      if (this.#used.has(file) || now - lastUsed < gracePeriod) continue;
+
+      if (!dryRun) {
+        try {
+          await unlink(join(outputDir, file));
+        } catch (err) {
+          // Already gone is as good as deleted
+          if (err.code !== "ENOENT") throw err;
+        }
+        this.#files.delete(file);
+      }
+      files.push(file);
+    }
+
+    log(dryRun ? "Unused files:" : "Deleted files:", files);
+    return { dryRun, files: files.sort() };
+  }
+
+  // Sorted so identical builds save identical caches
+  toJSON() {
+    return Object.fromEntries(
+      [...this.#files].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    );
+  }
+}
+
+// Entries come from the cache file, so never follow one out of outputDir
+function isSafePath(file) {
+  return (
+    typeof file === "string" &&
+    !!file &&
+    !isAbsolute(file) &&
+    !file.split(/[\\/]/).includes("..")
+  );
+}
@@ -0,0 +1,116 @@
+// src/quality.js
+import sharp from "sharp";
+
+export const QUALITY_METRICS = ["ssim", "dssim"];
+
+// Formats with a quality setting worth searching
+export const SEARCHABLE_FORMATS = ["webp", "avif", "jpeg", "png"];
+
+// Default targets per metric, both about as strict as each other
+const TARGETS = { ssim: 0.98, dssim: 0.01 };
+
+const DEFAULTS = {
+  metric: "ssim",
+  min: 30,
+  max: 95,
+  sampleWidth: 512,
+};
+
+export function normalizeAutoQuality(option) {
+  if (!option) return null;
+
+  // Shorthand: `autoQuality: true`
+  const settings = { ...DEFAULTS, ...(option === true ? {} : option) };
+  return { target: TARGETS[settings.metric], ...settings };
+}
+
+// Find the lowest quality whose encoding stays within the similarity
+// target. `encode(image, quality)` returns an encoding sharp pipeline.
+export async function findQuality(image, options, encode) {
+  const { metric, target, min, max, sampleWidth } =
+    normalizeAutoQuality(options);
+
+  // Compare on a downscaled copy: faster, and close to how the image is seen
+  const { data, info } = await image
+    .clone()
+    .resize({ width: sampleWidth, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const source = () =>
+    sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels },
+    });
+  const reference = await toLuma(source());
+
+  const passes = async (quality) => {
+    const encoded = await encode(source(), quality).toBuffer();
+    const ssim = computeSsim(
+      reference,
+      await toLuma(sharp(encoded)),
+      info.width,
+      info.height
+    );
+    return metric === "dssim" ? (1 - ssim) / 2 <= target : ssim >= target;
+  };
+
+  // Binary search, assuming similarity grows with quality
+  let low = min;
+  let high = max;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (await passes(middle)) high = middle;
+    else low = middle + 1;
+  }
+
+  return low;
+}
+
+function toLuma(image) {
+  // Transparent areas are compared as if shown on white
+  return image.flatten({ background: "#ffffff" }).greyscale().raw().toBuffer();
+}
+
+// Mean structural similarity of two greyscale images, over 8x8 windows
+export function computeSsim(a, b, width, height) {
+  const size = Math.min(8, width, height);
+  const step = Math.max(1, size >> 1);
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  const count = size * size;
+
+  let total = 0;
+  let windows = 0;
+
+  for (let y = 0; y + size <= height; y += step) {
+    for (let x = 0; x + size <= width; x += step) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+
+      for (let row = y; row < y + size; row++) {
+        for (let i = row * width + x, end = i + size; i < end; i++) {
+          sumA += a[i];
+          sumB += b[i];
+          sumAA += a[i] * a[i];
+          sumBB += b[i] * b[i];
+          sumAB += a[i] * b[i];
+        }
+      }
+
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varA = sumAA / count - meanA * meanA;
+      const varB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+
+      total +=
+        ((2 * meanA * meanB + c1) * (2 * covariance + c2)) /
+        ((meanA * meanA + meanB * meanB + c1) * (varA + varB + c2));
+      windows++;
+    }
+  }
+
+  return windows ? total / windows : 1;
+}
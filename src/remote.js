@@ -0,0 +1,226 @@
+// src/remote.js
+import { join, basename, extname } from "node:path";
+import { mkdir, readFile, access } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import debug from "debug";
+import { writeFileAtomic } from "./utils.js";
+
+const log = debug("uniweb:image-optimizer:remote");
+
+// File extensions for downloaded content types
+const CONTENT_TYPE_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+  "image/gif": ".gif",
+  "image/tiff": ".tif",
+  "image/heic": ".heic",
+  "image/heif": ".heic",
+  "image/svg+xml": ".svg",
+};
+
+// Statuses that send the client elsewhere, and how many hops are followed
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+export function isRemoteUrl(src) {
+  return /^(https?:)?\/\//i.test(src);
+}
+
+export class RemoteImageLoader {
+  #options;
+  #downloads = new Map();
+
+  constructor(options = {}) {
+    this.#options = {
+      allowedHosts: [],
+      timeout: 10000,
+      maxBytes: 20 * 1024 * 1024,
+      ...options,
+    };
+  }
+
+  isAllowed(src) {
+    const { hostname } = new URL(this.#normalize(src));
+
+    return this.#options.allowedHosts.some((host) => {
+      if (host === "*") return true;
+      if (host.startsWith("*.")) return hostname.endsWith(host.slice(1));
+      return hostname === host;
+    });
+  }
+
+  // Download a remote image into cacheDir and return its local path. Each
+  // URL is fetched at most once per build.
+  async load(src, cacheDir) {
+    const url = this.#normalize(src);
+
+    if (!this.#downloads.has(url)) {
+      const download = this.#download(url, cacheDir);
+      this.#downloads.set(url, download);
+      download.catch(() => this.#downloads.delete(url));
+    }
+
+    return this.#downloads.get(url);
+  }
+
+  // Forget downloads so the next load() revalidates them: one URL, or
+  // every URL when none is given
+  clear(src) {
+    if (src === undefined) this.#downloads.clear();
+    else this.#downloads.delete(this.#normalize(src));
+  }
+
+  async #download(url, cacheDir) {
+    if (!this.isAllowed(url)) {
+      throw new Error(`Remote host not allowed: ${new URL(url).hostname}`);
+    }
+
+    // One folder per URL keeps the original file name for variant names
+    const dir = join(cacheDir, createHash("sha256").update(url).digest("hex"));
+    const metaPath = join(dir, "meta.json");
+    const meta = await this.#readMeta(metaPath, dir);
+
+    // Revalidate a previous download with its ETag or Last-Modified date
+    const headers = {};
+    if (meta?.etag) headers["If-None-Match"] = meta.etag;
+    if (meta?.lastModified) headers["If-Modified-Since"] = meta.lastModified;
+
+    let response;
+    try {
+      response = await this.#fetch(url, headers);
+    } catch (err) {
+      // Keep building offline with the copy from the last successful fetch
+      if (meta) {
+        log("Using cached download after fetch error:", url, err.message);
+        return join(dir, meta.file);
+      }
+      throw this.#wrapError(err, url);
+    }
+
+    if (response.status === 304 && meta) {
+      log("Not modified:", url);
+      return join(dir, meta.file);
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} fetching ${url}`);
+    }
+
+    const contentType = (response.headers.get("content-type") || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    if (contentType && !contentType.startsWith("image/")) {
+      throw new Error(`Not an image (${contentType}): ${url}`);
+    }
+
+    const data = await this.#readBody(response, url).catch((err) => {
+      throw this.#wrapError(err, url);
+    });
+    const file = this.#getFileName(url, contentType);
+
+    await mkdir(dir, { recursive: true });
+    await writeFileAtomic(join(dir, file), data);
+    await writeFileAtomic(
+      metaPath,
+      JSON.stringify({
+        url,
+        file,
+        etag: response.headers.get("etag") || undefined,
+        lastModified: response.headers.get("last-modified") || undefined,
+      })
+    );
+
+    log("Downloaded:", { url, bytes: data.length });
+    return join(dir, file);
+  }
+
+  // Redirects are followed one at a time so that every hop is checked
+  // against the allowed hosts: an allowed host could otherwise send the
+  // build to any address, including internal ones
+  async #fetch(url, headers) {
+    const signal = AbortSignal.timeout(this.#options.timeout);
+
+    for (let redirects = 0; ; redirects++) {
+      const response = await fetch(url, {
+        headers,
+        signal,
+        redirect: "manual",
+      });
+      const location = response.headers.get("location");
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+        return response;
+      }
+
+      await response.body?.cancel();
+      if (redirects === MAX_REDIRECTS) {
+        throw new Error(`Too many redirects: ${url}`);
+      }
+
+      const target = new URL(location, url);
+      if (!/^https?:$/.test(target.protocol) || !this.isAllowed(target.href)) {
+        throw new Error(`Redirect to a host that is not allowed: ${target}`);
+      }
+      log("Following redirect:", { from: url, to: target.href });
+      url = target.href;
+    }
+  }
+
+  async #readBody(response, url) {
+    const { maxBytes } = this.#options;
+    const tooLarge = () =>
+      new Error(`Remote image exceeds ${maxBytes} bytes: ${url}`);
+
+    // Reject early when the server announces the size
+    if (Number(response.headers.get("content-length")) > maxBytes) {
+      await response.body?.cancel();
+      throw tooLarge();
+    }
+
+    // Count bytes as they arrive, since the header may be missing or wrong
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > maxBytes) throw tooLarge();
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  async #readMeta(metaPath, dir) {
+    try {
+      const meta = JSON.parse(await readFile(metaPath, "utf8"));
+      await access(join(dir, meta.file));
+      return meta;
+    } catch {
+      return null;
+    }
+  }
+
+  #getFileName(url, contentType) {
+    const name = basename(decodeURIComponent(new URL(url).pathname));
+    const ext = extname(name);
+    const safeName = (ext ? name.slice(0, -ext.length) : name)
+      .replace(/[^\w.-]+/g, "-")
+      .slice(0, 64);
+
+    // Trust the content type over the URL, which may end in .php or nothing
+    const type = CONTENT_TYPE_EXTENSIONS[contentType] ?? ext.toLowerCase();
+    return `${safeName || "image"}${type}`;
+  }
+
+  #wrapError(err, url) {
+    return err.name === "TimeoutError"
+      ? new Error(`Timed out after ${this.#options.timeout}ms: ${url}`)
+      : err;
+  }
+
+  #normalize(src) {
+    // Protocol-relative URLs are fetched over https
+    return src.startsWith("//") ? `https:${src}` : src;
+  }
+}
@@ -0,0 +1,217 @@
+// src/report.js
+import { formatBytes } from "./utils.js";
+
+export const REPORT_FORMATS = ["table", "json", "markdown"];
+
+// Default file names for written reports
+const REPORT_FILES = {
+  json: "image-report.json",
+  markdown: "image-report.md",
+};
+
+export function normalizeReport(option) {
+  if (!option) return null;
+
+  // Shorthand: `report: markdown`
+  const { format, file } =
+    typeof option === "string" ? { format: option } : option;
+  return { format, file: file ?? REPORT_FILES[format] ?? null };
+}
+
+// Bytes a modern browser downloads at full width: the widest variant in
+// its smallest format
+export function getFullWidthBytes(variants) {
+  const widest = Math.max(...variants.map((v) => v.width ?? 0));
+  const best = Math.min(
+    ...variants
+      .filter((v) => (v.width ?? 0) === widest)
+      .map((v) => v.bytes ?? Infinity)
+  );
+
+  return Number.isFinite(best) ? best : null;
+}
+
+// Statistics of one build: what each image weighed before and after, and
+// how much work the cache saved
+export class Report {
+  #images = new Map();
+  #hits = 0;
+  #misses = 0;
+  #started = Date.now();
+  #duration = null;
+
+  start() {
+    this.#images.clear();
+    this.#hits = 0;
+    this.#misses = 0;
+    this.#started = Date.now();
+    this.#duration = null;
+  }
+
+  finish() {
+    this.#duration = Date.now() - this.#started;
+  }
+
+  // Each set of outputs is counted once, however often it is used
+  add(key, { source, originalBytes, variants, cached, durationMs }) {
+    if (this.#images.has(key)) return;
+
+    if (cached) this.#hits++;
+    else this.#misses++;
+
+    this.#images.set(key, {
+      source,
+      originalBytes,
+      variants,
+      cached,
+      durationMs,
+    });
+  }
+
+  toJSON() {
+    // Sources used with several option sets are listed, and counted, once
+    const sources = new Map();
+    for (const image of this.#images.values()) {
+      const sets = sources.get(image.source) ?? [];
+      sources.set(image.source, [...sets, image]);
+    }
+
+    const images = [...sources.values()]
+      .map((sets) => this.#summarize(sets))
+      .sort((a, b) => a.source.localeCompare(b.source));
+
+    const originalBytes = sum(images.map((image) => image.originalBytes));
+    const savedBytes = sum(images.map((image) => image.savedBytes));
+
+    return {
+      totals: {
+        images: images.length,
+        originalBytes,
+        outputBytes: sum(images.map((image) => image.outputBytes)),
+        savedBytes,
+        savedPercent: percent(savedBytes, originalBytes),
+        cacheHits: this.#hits,
+        cacheMisses: this.#misses,
+        durationMs: this.#duration ?? Date.now() - this.#started,
+      },
+      images,
+    };
+  }
+
+  #summarize(images) {
+    const { source, originalBytes } = images[0];
+    const sets = images
+      .map(({ variants, cached, durationMs }) => {
+        const outputs = variants
+          .map(({ format, width, bytes }) => ({ format, width, bytes }))
+          .sort(
+            (a, b) => a.format.localeCompare(b.format) || a.width - b.width
+          );
+
+        return {
+          outputBytes: sum(outputs.map((output) => output.bytes ?? 0)),
+          cached,
+          durationMs: cached ? 0 : durationMs,
+          outputs,
+        };
+      })
+      .sort((a, b) => a.outputBytes - b.outputBytes);
+
+    // Saving for a browser that loads the widest variant in its best format
+    const best = getFullWidthBytes(sets.flatMap((set) => set.outputs));
+    const savedBytes = best === null ? 0 : originalBytes - best;
+
+    return {
+      source,
+      originalBytes,
+      outputBytes: sum(sets.map((set) => set.outputBytes)),
+      savedBytes,
+      savedPercent: percent(savedBytes, originalBytes),
+      cached: sets.every((set) => set.cached),
+      durationMs: sum(sets.map((set) => set.durationMs)),
+      sets,
+    };
+  }
+
+  toTable() {
+    const { totals, images } = this.toJSON();
+    const rows = [
+      ["Image", "Original", "Output", "Saved", "Time"],
+      ...images.map((image) => [
+        image.source,
+        formatBytes(image.originalBytes),
+        formatBytes(image.outputBytes),
+        `${image.savedPercent}%`,
+        image.cached ? "cached" : `${image.durationMs} ms`,
+      ]),
+    ];
+
+    const widths = rows[0].map((_, column) =>
+      Math.max(...rows.map((row) => row[column].length))
+    );
+    const lines = rows.map((row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    );
+    lines.splice(1, 0, widths.map((width) => "-".repeat(width)).join("  "));
+
+    return [...lines, "", this.#summary(totals)].join("\n");
+  }
+
+  toMarkdown() {
+    const { totals, images } = this.toJSON();
+
+    return [
+      "# Image Optimization Report",
+      "",
+      this.#summary(totals),
+      "",
+      "| Image | Original | Output | Saved | Outputs | Time |",
+      "| --- | --- | --- | --- | --- | --- |",
+      ...images.map((image) =>
+        [
+          "",
+          `\`${image.source}\``,
+          formatBytes(image.originalBytes),
+          formatBytes(image.outputBytes),
+          `${image.savedPercent}%`,
+          image.sets
+            .map((set) =>
+              set.outputs
+                .map(({ format, width, bytes }) =>
+                  [format, width && `${width}w`, bytes && formatBytes(bytes)]
+                    .filter(Boolean)
+                    .join(" ")
+                )
+                .join(", ")
+            )
+            .join("; "),
+          image.cached ? "cached" : `${image.durationMs} ms`,
+          "",
+        ]
+          .join(" | ")
+          .trim()
+      ),
+      "",
+    ].join("\n");
+  }
+
+  #summary(totals) {
+    return (
+      `${totals.images} images, ${formatBytes(totals.originalBytes)} of ` +
+      `sources, ${formatBytes(totals.savedBytes)} saved ` +
+      `(${totals.savedPercent}%), ${totals.cacheHits} cached, ` +
+      `${totals.cacheMisses} processed in ${totals.durationMs} ms`
+    );
+  }
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : 0;
+}
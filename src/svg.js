@@ -0,0 +1,102 @@
+// src/svg.js
+import { extname } from "node:path";
+import { optimize } from "svgo";
+
+export function isSvgFile(filePath) {
+  return extname(filePath).toLowerCase() === ".svg";
+}
+
+// Elements that can embed HTML, and animations that can set attributes
+const UNSAFE_ELEMENTS = new Set(["script", "foreignObject"]);
+const ANIMATION_ELEMENTS = new Set([
+  "animate",
+  "set",
+  "animateMotion",
+  "animateTransform",
+]);
+
+// Raster images embedded in the markup, which cannot run scripts
+const EMBEDDED_RASTER = /^data:image\/(png|jpeg|gif|webp)[;,]/i;
+
+export function optimizeSvg(markup) {
+  // Minify, and remove scripts, event handlers and links out of the file
+  const { data } = optimize(markup, {
+    multipass: true,
+    plugins: [sanitize, "preset-default", "removeScripts"],
+  });
+
+  return data;
+}
+
+// svgo's removeScripts misses handlers and links set by animations, and
+// HTML inside foreignObject, so those are removed here
+const sanitize = {
+  name: "sanitize",
+  fn: () => ({
+    element: {
+      enter(node, parent) {
+        if (UNSAFE_ELEMENTS.has(node.name) || animatesUnsafe(node)) {
+          parent.children = parent.children.filter((child) => child !== node);
+          return;
+        }
+
+        for (const [name, value] of Object.entries(node.attributes)) {
+          if (isUnsafeAttribute(name, value, node.name)) {
+            delete node.attributes[name];
+          }
+        }
+      },
+    },
+  }),
+};
+
+function animatesUnsafe(node) {
+  if (!ANIMATION_ELEMENTS.has(node.name)) return false;
+
+  const target = node.attributes.attributeName;
+  return target !== undefined && isUnsafeAttribute(target, "");
+}
+
+function isUnsafeAttribute(name, value, element) {
+  const local = name.toLowerCase().replace(/^xlink:/, "");
+  if (local.startsWith("on")) return true;
+  if (local !== "href") return false;
+
+  // Links may only point within the file, and images may also embed
+  // rasters, as design tools export them; nothing is loaded from elsewhere
+  const url = value.trim();
+  return !(
+    url.startsWith("#") ||
+    (element === "image" && EMBEDDED_RASTER.test(url))
+  );
+}
+
+export function getSvgDimensions(markup) {
+  const root = markup.match(/<svg\b[^>]*>/i)?.[0];
+  if (!root) throw new Error("Invalid SVG: missing <svg> element");
+
+  const attr = (name) =>
+    root.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, "i"))?.[1];
+
+  // Explicit pixel dimensions set the rendered size
+  const width = toPixels(attr("width"));
+  const height = toPixels(attr("height"));
+  if (width && height) return { width, height };
+
+  // Otherwise the viewBox gives the intrinsic size
+  const viewBox = attr("viewBox")
+    ?.trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  if (viewBox?.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+  }
+
+  return { width: undefined, height: undefined };
+}
+
+function toPixels(value) {
+  // Only unitless and px lengths; 100% or 10em depend on the page
+  const match = value?.trim().match(/^(\d+(?:\.\d+)?)(px)?$/);
+  return match && Number(match[1]) > 0 ? Math.round(Number(match[1])) : null;
+}
@@ -1,11 +1,41 @@
 // src/utils.js
 import { join, resolve, dirname } from "node:path";
+import { readFile, writeFile, rename, unlink, rm } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { setMaxListeners } from "node:events";
+import yaml from "js-yaml";
+import { PLACEHOLDER_TYPES, normalizePlaceholder } from "./placeholder.js";
+import { PRESET_OPTIONS } from "./presets.js";
+import { REPORT_FORMATS, normalizeReport } from "./report.js";
+import { BUDGET_LIMITS, BUDGET_SEVERITIES } from "./budgets.js";
+import { FITS, parseAspectRatio, parsePosition } from "./directives.js";
+import { QUALITY_METRICS, normalizeAutoQuality } from "./quality.js";
+
+export const MIME_TYPES = {
+  avif: "image/avif",
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  svg: "image/svg+xml",
+};
 
 export function isImageNode(node) {
   return node.type === "image" && node.attrs?.src;
 }
 
+// Extensions of files the plugin can optimize
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|avif|gif|tiff?|hei[cf]|svg)$/i;
+
+export function isImageHref(href) {
+  // Ignore query strings and fragments, e.g. /photo.jpg?download
+  return IMAGE_EXTENSIONS.test(href.replace(/[?#].*$/, ""));
+}
+
 export function resolvePublicPath(src, context) {
+  // Query strings and fragments are not part of the file name
+  src = src.replace(/[?#].*$/, "");
+
   // Handle absolute paths (starting with /)
   if (src.startsWith("/")) {
     return resolve(context.resourcePath, "..", "public", src.slice(1));
@@ -16,14 +46,167 @@ export function resolvePublicPath(src, context) {
   return resolve(currentDir, src);
 }
 
-export function generateImageId(imagePath) {
-  // Create a unique ID for the image based on its path
-  return Buffer.from(imagePath).toString("base64url");
+export async function readFrontMatter(filePath) {
+  // Sections start with an optional YAML block between --- lines
+  const content = await readFile(filePath, "utf8");
+  const match = content.match(/^\s*---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+  if (!match) return {};
+
+  return yaml.load(match[1]) || {};
+}
+
+export function resolveSizesAttribute(option) {
+  // Per-component rules are applied by the plugin, which knows the section
+  if (!option) return null;
+  if (typeof option === "string") return option;
+
+  return option.default || null;
+}
+
+export function generateImageId(contentHash, settings = {}) {
+  // Create a unique ID for an image from its content hash and the settings
+  // used to encode it, so a changed source or encoder yields a new ID
+  return createHash("sha256")
+    .update(`${contentHash}:${stableStringify(settings)}`)
+    .digest("hex");
+}
+
+const FILENAME_TOKEN = /\[(\w+)(?::(\d+))?\]/g;
+const FILENAME_TOKENS = ["name", "hash", "width", "height", "suffix", "ext"];
+
+export function formatFilename(pattern, values) {
+  // Expand tokens like [name], [width] or [hash:8] in a filename pattern
+  return pattern.replace(FILENAME_TOKEN, (match, token, length) => {
+    if (!(token in values)) return match;
+
+    const value = String(values[token]);
+    return length ? value.slice(0, Number(length)) : value;
+  });
+}
+
+export async function hashFile(filePath) {
+  // Hash the file contents so renamed or touched files keep their cache entry
+  const data = await readFile(filePath);
+  return createHash("sha256").update(data).digest("hex");
+}
+
+export function hashObject(value) {
+  // Stable hash of a plain object (key order does not matter)
+  return createHash("sha256").update(stableStringify(value)).digest("hex");
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+export async function writeFileAtomic(filePath, data) {
+  // Write to a temporary file first so readers never see a partial file
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+  try {
+    await writeFile(tmpPath, data);
+    await rename(tmpPath, filePath);
+  } catch (err) {
+    await unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+}
+
+// Delete files that may be partly written, missing or never started
+export async function removeFiles(paths) {
+  await Promise.all(paths.map((path) => rm(path, { force: true })));
+}
+
+// Settles like `promise`, or rejects with the abort reason as soon as the
+// signal aborts, for work that cannot be stopped midway
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// A signal that aborts along with `parent`, on abort(), or after `timeout`
+// ms unless the timeout is 0. Call dispose() once the work is done.
+export function linkSignal(parent, timeout, timeoutReason) {
+  const controller = new AbortController();
+  const abort = () => controller.abort(parent.reason);
+
+  // One listener per job in progress, which may be many
+  setMaxListeners(0, controller.signal);
+  const timer =
+    timeout > 0 &&
+    setTimeout(() => controller.abort(timeoutReason), timeout).unref();
+
+  if (parent?.aborted) abort();
+  else parent?.addEventListener("abort", abort, { once: true });
+
+  return {
+    signal: controller.signal,
+    abort: (reason) => controller.abort(reason),
+    dispose() {
+      clearTimeout(timer);
+      parent?.removeEventListener("abort", abort);
+    },
+  };
 }
 
 export function validateOptions(options) {
-  const { outputDir, publicPath, formats, quality, sizes, concurrency } =
-    options;
+  const {
+    outputDir,
+    publicPath,
+    formats,
+    quality,
+    autoQuality,
+    formatOptions,
+    sizes,
+    concurrency,
+    workers,
+    workerMemoryLimit,
+    limitInputPixels,
+    timeout,
+    retries,
+    cacheFile,
+    manifest,
+    report,
+    budgets,
+    prune,
+    filename,
+    fallbackFormat,
+    placeholder,
+    sizesAttribute,
+    displayWidth,
+    densities,
+    svg,
+    remote,
+    fit,
+    aspectRatio,
+    position,
+    presets,
+    componentPresets,
+    frontMatterImages,
+    html,
+    links,
+  } = options;
 
   // Required options
   if (!outputDir) throw new Error("outputDir is required");
@@ -40,6 +223,13 @@ export function validateOptions(options) {
     throw new Error(`Invalid formats: ${invalidFormats.join(", ")}`);
   }
 
+  // Validate fallback format
+  if (fallbackFormat !== undefined && fallbackFormat !== "auto") {
+    if (!validFormats.includes(fallbackFormat)) {
+      throw new Error(`Invalid fallbackFormat: ${fallbackFormat}`);
+    }
+  }
+
   // Validate quality
   if (quality !== undefined) {
     if (typeof quality !== "number" || quality < 1 || quality > 100) {
@@ -47,6 +237,30 @@ export function validateOptions(options) {
     }
   }
 
+  // Validate quality search
+  if (autoQuality !== undefined && autoQuality !== false) {
+    validateAutoQuality(autoQuality);
+  }
+
+  // Validate fixed-size images
+  if (displayWidth !== undefined && displayWidth !== null) {
+    if (!Number.isInteger(displayWidth) || displayWidth < 1) {
+      throw new Error("displayWidth must be a positive integer");
+    }
+  }
+  if (densities !== undefined) {
+    if (
+      !Array.isArray(densities) ||
+      !densities.length ||
+      densities.some((d) => typeof d !== "number" || !(d > 0) || d > 4)
+    ) {
+      throw new Error("densities must be an array of numbers from 0 to 4");
+    }
+  }
+
+  // Validate encoder settings
+  if (formatOptions !== undefined) validateFormatOptions(formatOptions);
+
   // Validate sizes
   if (sizes) {
     if (!Array.isArray(sizes)) {
@@ -60,15 +274,450 @@ export function validateOptions(options) {
       if (typeof size.width !== "number" || size.width < 1) {
         throw new Error("Size width must be a positive number");
       }
+      if (
+        size.height !== undefined &&
+        (typeof size.height !== "number" || size.height < 1)
+      ) {
+        throw new Error("Size height must be a positive number");
+      }
+      validateCrop(size, `size ${size.suffix}`);
     });
   }
 
+  // Validate cropping
+  validateCrop({ fit, aspectRatio, position });
+
+  // Validate sizes attribute
+  if (sizesAttribute) {
+    if (typeof sizesAttribute === "object") {
+      const { default: fallback, components = {} } = sizesAttribute;
+      if (fallback !== undefined && typeof fallback !== "string") {
+        throw new Error("sizesAttribute.default must be a string");
+      }
+      for (const [component, value] of Object.entries(components)) {
+        if (typeof value !== "string" || !value) {
+          throw new Error(`sizesAttribute for ${component} must be a string`);
+        }
+      }
+    } else if (typeof sizesAttribute !== "string") {
+      throw new Error("sizesAttribute must be a string or an object");
+    }
+  }
+
   // Validate concurrency
   if (concurrency !== undefined) {
     if (typeof concurrency !== "number" || concurrency < 1) {
       throw new Error("Concurrency must be a positive number");
     }
   }
+
+  // Validate worker threads
+  if (workers !== undefined && workers !== "auto") {
+    if (!Number.isInteger(workers) || workers < 0) {
+      throw new Error('workers must be "auto" or a whole number, 0 for none');
+    }
+  }
+  if (workerMemoryLimit !== undefined) {
+    if (typeof workerMemoryLimit !== "number" || workerMemoryLimit < 64) {
+      throw new Error("workerMemoryLimit must be at least 64 (MB)");
+    }
+  }
+  if (limitInputPixels !== undefined && limitInputPixels !== false) {
+    if (!Number.isInteger(limitInputPixels) || limitInputPixels < 1) {
+      throw new Error(
+        "limitInputPixels must be a number of pixels, or false for no limit"
+      );
+    }
+  }
+
+  // Validate timeout and retries
+  if (timeout !== undefined) {
+    if (!Number.isInteger(timeout) || timeout < 0) {
+      throw new Error("timeout must be a number of milliseconds, 0 for none");
+    }
+  }
+  if (retries !== undefined) {
+    if (!Number.isInteger(retries) || retries < 0 || retries > 10) {
+      throw new Error("retries must be a whole number from 0 to 10");
+    }
+  }
+
+  // Validate filename pattern
+  if (filename !== undefined) {
+    if (typeof filename !== "string" || !filename) {
+      throw new Error("filename must be a non-empty pattern");
+    }
+
+    const tokens = [...filename.matchAll(FILENAME_TOKEN)].map(([, t]) => t);
+    const unknown = tokens.filter((t) => !FILENAME_TOKENS.includes(t));
+    if (unknown.length) {
+      throw new Error(`Unknown filename tokens: ${unknown.join(", ")}`);
+    }
+    if (!tokens.includes("ext")) {
+      throw new Error("filename must include [ext]");
+    }
+    if (!tokens.includes("width") && !tokens.includes("suffix")) {
+      throw new Error("filename must include [width] or [suffix]");
+    }
+    if (filename.includes("/") || filename.includes("\\")) {
+      throw new Error("filename must not contain path separators");
+    }
+  }
+
+  // Validate placeholder
+  if (placeholder) {
+    const { type, size } = normalizePlaceholder(placeholder);
+
+    if (!PLACEHOLDER_TYPES.includes(type)) {
+      throw new Error(
+        `Placeholder must be one of: ${PLACEHOLDER_TYPES.join(", ")}`
+      );
+    }
+    if (!Number.isInteger(size) || size < 1 || size > 64) {
+      throw new Error("Placeholder size must be an integer between 1 and 64");
+    }
+  }
+
+  // Validate SVG handling
+  if (svg !== undefined) {
+    if (!svg || typeof svg !== "object") {
+      throw new Error("svg must be an object");
+    }
+    if (svg.rasterize !== undefined && typeof svg.rasterize !== "boolean") {
+      throw new Error("svg.rasterize must be a boolean");
+    }
+  }
+
+  // Validate remote images
+  if (remote !== undefined) {
+    if (!remote || typeof remote !== "object") {
+      throw new Error("remote must be an object");
+    }
+
+    const { allowedHosts, timeout, maxBytes, dir } = remote;
+    if (
+      allowedHosts !== undefined &&
+      (!Array.isArray(allowedHosts) ||
+        allowedHosts.some((host) => typeof host !== "string" || !host))
+    ) {
+      throw new Error("remote.allowedHosts must be an array of host names");
+    }
+    if (timeout !== undefined && (typeof timeout !== "number" || timeout < 1)) {
+      throw new Error("remote.timeout must be a positive number");
+    }
+    if (
+      maxBytes !== undefined &&
+      (typeof maxBytes !== "number" || maxBytes < 1)
+    ) {
+      throw new Error("remote.maxBytes must be a positive number");
+    }
+    if (dir !== undefined && (typeof dir !== "string" || !dir)) {
+      throw new Error("remote.dir must be a non-empty string");
+    }
+  }
+
+  // Validate cache file
+  if (cacheFile !== undefined && cacheFile !== false) {
+    if (typeof cacheFile !== "string" || !cacheFile) {
+      throw new Error("cacheFile must be a file name or false");
+    }
+  }
+
+  // Validate report
+  if (report) {
+    const { format, file } = normalizeReport(report);
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`Report must be one of: ${REPORT_FORMATS.join(", ")}`);
+    }
+    if (file !== null && (typeof file !== "string" || !file)) {
+      throw new Error("Report file must be a file name");
+    }
+  }
+
+  // Validate budgets
+  if (budgets !== undefined) {
+    if (!Array.isArray(budgets)) throw new Error("budgets must be an array");
+    budgets.forEach(validateBudget);
+  }
+
+  // Validate pruning
+  if (prune !== undefined && prune !== false && prune !== true) {
+    if (!prune || typeof prune !== "object" || Array.isArray(prune)) {
+      throw new Error("prune must be true, false or an object");
+    }
+    const unknown = Object.keys(prune).filter(
+      (key) => !["dryRun", "gracePeriod"].includes(key)
+    );
+    if (unknown.length) {
+      throw new Error(`Unknown prune options: ${unknown.join(", ")}`);
+    }
+    if (prune.dryRun !== undefined && typeof prune.dryRun !== "boolean") {
+      throw new Error("prune.dryRun must be a boolean");
+    }
+    if (
+      prune.gracePeriod !== undefined &&
+      (typeof prune.gracePeriod !== "number" || !(prune.gracePeriod >= 0))
+    ) {
+      throw new Error("prune.gracePeriod must be a number of milliseconds");
+    }
+  }
+
+  // Validate manifest file
+  if (manifest !== undefined && manifest !== false) {
+    if (typeof manifest !== "string" || !manifest) {
+      throw new Error("manifest must be a file name or false");
+    }
+  }
+
+  // Validate switches
+  for (const [name, value] of Object.entries({ html, links })) {
+    if (value !== undefined && typeof value !== "boolean") {
+      throw new Error(`${name} must be a boolean`);
+    }
+  }
+
+  // Validate front matter image keys
+  if (frontMatterImages !== undefined) {
+    if (
+      !Array.isArray(frontMatterImages) ||
+      frontMatterImages.some(
+        (pattern) =>
+          typeof pattern !== "string" || pattern.split(".").some((key) => !key)
+      )
+    ) {
+      throw new Error("frontMatterImages must be an array of key paths");
+    }
+  }
+
+  // Validate presets
+  if (presets !== undefined) {
+    if (!presets || typeof presets !== "object" || Array.isArray(presets)) {
+      throw new Error("presets must be an object");
+    }
+    for (const [name, preset] of Object.entries(presets)) {
+      validatePreset(name, preset, options);
+    }
+  }
+
+  // Validate component presets
+  if (componentPresets !== undefined) {
+    if (!componentPresets || typeof componentPresets !== "object") {
+      throw new Error("componentPresets must be an object");
+    }
+    for (const [component, name] of Object.entries(componentPresets)) {
+      if (!Object.hasOwn(presets || {}, name)) {
+        throw new Error(`Unknown preset for ${component}: ${name}`);
+      }
+    }
+  }
+}
+
+// Encoder settings accepted per format in `formatOptions`
+const boolean = { test: (v) => typeof v === "boolean", text: "a boolean" };
+const integer = (min, max) => ({
+  test: (v) => Number.isInteger(v) && v >= min && v <= max,
+  text: `an integer from ${min} to ${max}`,
+});
+const fraction = {
+  test: (v) => typeof v === "number" && v >= 0 && v <= 1,
+  text: "a number from 0 to 1",
+};
+const chroma = {
+  test: (v) => v === "4:2:0" || v === "4:4:4",
+  text: '"4:2:0" or "4:4:4"',
+};
+
+const FORMAT_OPTIONS = {
+  webp: {
+    quality: integer(1, 100),
+    alphaQuality: integer(0, 100),
+    lossless: boolean,
+    nearLossless: boolean,
+    smartSubsample: boolean,
+    effort: integer(0, 6),
+  },
+  avif: {
+    quality: integer(1, 100),
+    lossless: boolean,
+    effort: integer(0, 9),
+    chromaSubsampling: chroma,
+  },
+  jpeg: {
+    quality: integer(1, 100),
+    progressive: boolean,
+    chromaSubsampling: chroma,
+    mozjpeg: boolean,
+    trellisQuantisation: boolean,
+    overshootDeringing: boolean,
+    optimiseScans: boolean,
+  },
+  png: {
+    quality: integer(1, 100),
+    progressive: boolean,
+    compressionLevel: integer(0, 9),
+    adaptiveFiltering: boolean,
+    palette: boolean,
+    colours: integer(2, 256),
+    dither: fraction,
+    effort: integer(1, 10),
+  },
+  gif: {
+    effort: integer(1, 10),
+    colours: integer(2, 256),
+    dither: fraction,
+  },
+};
+
+function validateFormatOptions(formatOptions) {
+  const isObject = (value) =>
+    value && typeof value === "object" && !Array.isArray(value);
+
+  if (!isObject(formatOptions)) {
+    throw new Error("formatOptions must be an object");
+  }
+
+  for (const [format, settings] of Object.entries(formatOptions)) {
+    const allowed = FORMAT_OPTIONS[format];
+    if (!allowed) {
+      throw new Error(
+        `Unknown format in formatOptions: ${format}. Use one of: ${Object.keys(
+          FORMAT_OPTIONS
+        ).join(", ")}`
+      );
+    }
+    if (!isObject(settings)) {
+      throw new Error(`formatOptions.${format} must be an object`);
+    }
+
+    for (const [key, value] of Object.entries(settings)) {
+      if (!allowed[key]) {
+        throw new Error(`Unknown option formatOptions.${format}.${key}`);
+      }
+      if (!allowed[key].test(value)) {
+        throw new Error(
+          `formatOptions.${format}.${key} must be ${allowed[key].text}`
+        );
+      }
+    }
+  }
+}
+
+function validateAutoQuality(option) {
+  if (option !== true && (!option || typeof option !== "object")) {
+    throw new Error("autoQuality must be true, false or an object");
+  }
+
+  const { metric, target, min, max, sampleWidth } =
+    normalizeAutoQuality(option);
+  if (!QUALITY_METRICS.includes(metric)) {
+    throw new Error(
+      `autoQuality.metric must be one of: ${QUALITY_METRICS.join(", ")}`
+    );
+  }
+
+  // SSIM is a similarity (1 is identical), DSSIM a distance (0 is identical)
+  const range = metric === "ssim" ? [0, 1] : [0, 0.5];
+  if (typeof target !== "number" || target <= range[0] || target >= range[1]) {
+    throw new Error(
+      `autoQuality.target for ${metric} must be between ${range[0]} and ${range[1]}`
+    );
+  }
+
+  const isQuality = (n) => Number.isInteger(n) && n >= 1 && n <= 100;
+  if (!isQuality(min) || !isQuality(max) || min > max) {
+    throw new Error(
+      "autoQuality.min and max must be qualities from 1 to 100, min first"
+    );
+  }
+  if (typeof sampleWidth !== "number" || sampleWidth < 8) {
+    throw new Error("autoQuality.sampleWidth must be at least 8");
+  }
+}
+
+function validateCrop({ fit, aspectRatio, position }, label) {
+  const prefix = label ? `Invalid ${label}: ` : "";
+
+  try {
+    if (fit !== undefined && !FITS.includes(fit)) {
+      throw new Error(`fit must be one of: ${FITS.join(", ")}`);
+    }
+    if (aspectRatio !== undefined) parseAspectRatio(aspectRatio);
+    if (position !== undefined) parsePosition(position);
+  } catch (err) {
+    throw new Error(prefix + err.message);
+  }
+}
+
+function validateBudget(budget, index) {
+  const label = `Budget ${index + 1}`;
+  if (!budget || typeof budget !== "object" || Array.isArray(budget)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const known = [...BUDGET_LIMITS, "path", "page", "severity"];
+  const unknown = Object.keys(budget).filter((key) => !known.includes(key));
+  if (unknown.length) {
+    throw new Error(`Unknown options in ${label}: ${unknown.join(", ")}`);
+  }
+
+  const limits = BUDGET_LIMITS.filter((key) => budget[key] !== undefined);
+  if (!limits.length) {
+    throw new Error(`${label} needs one of: ${BUDGET_LIMITS.join(", ")}`);
+  }
+  for (const key of limits) {
+    if (typeof budget[key] !== "number" || budget[key] <= 0) {
+      throw new Error(`${label}: ${key} must be a positive number`);
+    }
+  }
+
+  for (const key of ["path", "page"]) {
+    if (
+      budget[key] !== undefined &&
+      (typeof budget[key] !== "string" || !budget[key])
+    ) {
+      throw new Error(`${label}: ${key} must be a glob pattern`);
+    }
+  }
+  if (
+    budget.severity !== undefined &&
+    !BUDGET_SEVERITIES.includes(budget.severity)
+  ) {
+    throw new Error(
+      `${label}: severity must be one of: ${BUDGET_SEVERITIES.join(", ")}`
+    );
+  }
+}
+
+function validatePreset(name, preset, options) {
+  if (!preset || typeof preset !== "object" || Array.isArray(preset)) {
+    throw new Error(`Preset ${name} must be an object`);
+  }
+
+  const unknown = Object.keys(preset).filter(
+    (key) => !PRESET_OPTIONS.includes(key)
+  );
+  if (unknown.length) {
+    throw new Error(`Unknown options in preset ${name}: ${unknown.join(", ")}`);
+  }
+
+  try {
+    if (
+      preset.sizesAttribute !== undefined &&
+      (typeof preset.sizesAttribute !== "string" || !preset.sizesAttribute)
+    ) {
+      throw new Error("sizesAttribute must be a string");
+    }
+
+    // The remaining options are checked as they apply: over the plugin options
+    validateOptions({
+      ...options,
+      ...preset,
+      presets: undefined,
+      componentPresets: undefined,
+    });
+  } catch (err) {
+    throw new Error(`Invalid preset ${name}: ${err.message}`);
+  }
 }
 
 export function formatBytes(bytes) {
@@ -0,0 +1,33 @@
+// src/worker.js
+import { parentPort } from "node:worker_threads";
+import sharp from "sharp";
+import { ImageProcessor } from "./processor.js";
+
+// The pool runs images side by side, so libvips gets one thread per
+// encoder and keeps few decoded images around: its settings and cache are
+// shared by every thread of the process
+sharp.concurrency(1);
+sharp.cache({ memory: 32, files: 0, items: 20 });
+
+// Runs one image at a time for the pool in workers.js. The pool stops the
+// worker to abort a job, so it hears of each file as it is started and
+// removes them itself.
+parentPort.on(
+  "message",
+  async ({ id, imagePath, outputDir, options, ...job }) => {
+    try {
+      const result = await new ImageProcessor(options).process(
+        imagePath,
+        outputDir,
+        { ...job, onFile: (file) => parentPort.postMessage({ id, file }) }
+      );
+      parentPort.postMessage({ id, result });
+    } catch (err) {
+      // The code tells transient I/O errors apart for retries
+      parentPort.postMessage({
+        id,
+        error: { message: err.message, ...(err.code && { code: err.code }) },
+      });
+    }
+  }
+);
@@ -0,0 +1,187 @@
+// src/workers.js
+import { Worker } from "node:worker_threads";
+import os from "node:os";
+import debug from "debug";
+import { rmSync } from "node:fs";
+
+const log = debug("uniweb:image-optimizer:workers");
+
+const WORKER_URL = new URL("./worker.js", import.meta.url);
+
+// One core is left for the collector itself
+export function getDefaultPoolSize() {
+  const cores = os.availableParallelism?.() ?? os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+// Encodes images in worker threads. Workers start when needed, and idle
+// ones do not keep the process alive.
+export class WorkerPool {
+  #size;
+  #memoryLimit;
+  #script;
+  #workers = [];
+  #waiting = [];
+  #stopping = new Set(); // Workers stopped by an abort, until they exit
+  #nextId = 1;
+
+  constructor({
+    size = getDefaultPoolSize(),
+    memoryLimit,
+    script = WORKER_URL,
+  } = {}) {
+    this.#size = size;
+    this.#memoryLimit = memoryLimit;
+    this.#script = script;
+  }
+
+  get size() {
+    return this.#size;
+  }
+
+  // Process an image in a worker. `job` holds the arguments of
+  // ImageProcessor#process plus the processor options, all of which must
+  // survive structured cloning. Aborting the signal rejects at once: a
+  // waiting job is dropped, and a running one's worker is stopped and its
+  // files removed.
+  run(job, { signal } = {}) {
+    signal?.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+      const task = { id: this.#nextId++, job, files: [], resolve, reject };
+
+      if (signal) {
+        const onAbort = () => this.#abort(task, signal.reason);
+        signal.addEventListener("abort", onAbort, { once: true });
+        task.resolve = (result) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(result);
+        };
+        task.reject = (err) => {
+          signal.removeEventListener("abort", onAbort);
+          reject(err);
+        };
+      }
+
+      this.#waiting.push(task);
+      this.#dispatch();
+    });
+  }
+
+  // Stop every worker. Pending jobs are rejected. Workers stopped by an
+  // abort are not waited for: one stuck in a decoder may never exit.
+  async close() {
+    const workers = this.#workers.splice(0);
+    for (const task of this.#waiting.splice(0)) {
+      task.reject(new Error("Worker pool closed"));
+    }
+    await Promise.all(workers.map(({ worker }) => worker.terminate()));
+  }
+
+  #abort(task, reason) {
+    // A waiting job never started
+    const index = this.#waiting.indexOf(task);
+    if (index !== -1) this.#waiting.splice(index, 1);
+
+    const slot = this.#workers.find((slot) => slot.task === task);
+    if (!slot) {
+      task.reject(reason);
+      return;
+    }
+
+    // sharp cannot interrupt an encoder, so a stopped worker only exits
+    // once those already running finish. It keeps its place in the pool
+    // until then, so stuck images cannot add threads beyond the pool size,
+    // and it does not keep the process alive
+    const { worker } = slot;
+    slot.task = null;
+    this.#workers = this.#workers.filter((other) => other !== slot);
+    this.#stopping.add(worker);
+    worker.unref();
+    log("Stopping worker:", reason?.message ?? reason);
+    task.reject(reason);
+
+    // Files being written are unlinked at once, and the encoders' output
+    // removed again once the worker has exited. The removal is synchronous
+    // since the stuck encoders hold the threads async fs calls run on
+    const cleanUp = () => {
+      for (const file of task.files) {
+        try {
+          rmSync(file, { force: true });
+        } catch (err) {
+          log("Could not remove file of stopped worker:", err.message);
+        }
+      }
+    };
+    cleanUp();
+    worker
+      .terminate()
+      .then(cleanUp, cleanUp)
+      .finally(() => {
+        this.#stopping.delete(worker);
+        this.#dispatch();
+      });
+  }
+
+  #dispatch() {
+    while (this.#waiting.length) {
+      let slot = this.#workers.find((slot) => !slot.task);
+      if (!slot) {
+        if (this.#workers.length + this.#stopping.size >= this.#size) return;
+        slot = this.#spawn();
+      }
+
+      const task = this.#waiting.shift();
+      slot.task = task;
+      slot.worker.ref();
+      slot.worker.postMessage({ id: task.id, ...task.job });
+    }
+  }
+
+  #spawn() {
+    const worker = new Worker(this.#script, {
+      // Bounds the JavaScript heap of each job; sharp's pixel buffers are
+      // limited by its own input pixel limit
+      ...(this.#memoryLimit && {
+        resourceLimits: { maxOldGenerationSizeMb: this.#memoryLimit },
+      }),
+    });
+    const slot = { worker, task: null, error: null };
+
+    worker.on("message", ({ id, file, result, error }) => {
+      const { task } = slot;
+      if (!task || task.id !== id) return;
+
+      // Files started by the job, removed if it is aborted
+      if (file) {
+        task.files.push(file);
+        return;
+      }
+
+      slot.task = null;
+      worker.unref();
+      if (error) task.reject(Object.assign(new Error(error.message), error));
+      else task.resolve(result);
+      this.#dispatch();
+    });
+
+    // A crash only fails the image the worker was processing
+    worker.on("error", (err) => {
+      slot.error = err;
+    });
+    worker.on("exit", (code) => {
+      this.#workers = this.#workers.filter((other) => other !== slot);
+      if (slot.task) {
+        const reason = slot.error?.message || `exit code ${code}`;
+        log("Worker stopped:", reason);
+        slot.task.reject(new Error(`Image worker stopped: ${reason}`));
+      }
+      this.#dispatch();
+    });
+
+    worker.unref();
+    this.#workers.push(slot);
+    log("Started worker:", { workers: this.#workers.length });
+    return slot;
+  }
+}
@@ -0,0 +1,104 @@
+// tests/budgets.test.js
+import { jest } from "@jest/globals";
+import { BudgetChecker } from "../src/budgets.js";
+
+const image = {
+  source: "public/img/hero.jpg",
+  original: { width: 6000, height: 4000, bytes: 6 * 1024 * 1024 },
+  variants: [
+    { url: "/images/hero-640.webp", width: 640, format: "webp", bytes: 90000 },
+    {
+      url: "/images/hero-1920.webp",
+      width: 1920,
+      format: "webp",
+      bytes: 600000,
+    },
+    {
+      url: "/images/hero-1920.jpeg",
+      width: 1920,
+      format: "jpeg",
+      bytes: 800000,
+    },
+  ],
+  page: "/home",
+};
+
+describe("BudgetChecker", () => {
+  test("checks source size and dimensions", () => {
+    const checker = new BudgetChecker([
+      {
+        maxSourceBytes: 5 * 1024 * 1024,
+        maxSourceWidth: 4000,
+        maxSourceHeight: 4000,
+      },
+    ]);
+
+    expect(checker.checkImage("image:hero", image)).toEqual([
+      {
+        severity: "warn",
+        message:
+          "Image budget exceeded: public/img/hero.jpg is 6 MB, over the 5 MB limit (maxSourceBytes)",
+      },
+      {
+        severity: "warn",
+        message:
+          "Image budget exceeded: public/img/hero.jpg is 6000px wide, over the 4000px limit (maxSourceWidth)",
+      },
+    ]);
+  });
+
+  test("checks every variant", () => {
+    const checker = new BudgetChecker([
+      { maxVariantBytes: 700000, severity: "error" },
+    ]);
+
+    const violations = checker.checkImage("image:hero", image);
+    expect(violations).toHaveLength(1);
+    expect(violations[0].severity).toBe("error");
+    expect(violations[0].message).toContain("/images/hero-1920.jpeg");
+    expect(checker.errorCount).toBe(1);
+  });
+
+  test("applies rules to matching paths and pages only", () => {
+    const checker = new BudgetChecker([
+      { path: "public/icons/**", maxSourceBytes: 1 },
+      { path: "public/img/*.jpg", maxSourceWidth: 8000 },
+      { page: "/blog/**", maxPageBytes: 1 },
+    ]);
+
+    expect(checker.checkImage("image:hero", image)).toEqual([]);
+    expect(checker.checkPages()).toEqual([]);
+  });
+
+  test("sums the full-width bytes of each page", () => {
+    const checker = new BudgetChecker([{ maxPageBytes: 1000000 }]);
+
+    checker.checkImage("image:hero", image);
+    checker.checkImage("image:hero", image); // Used twice, counted once
+    checker.checkImage("image:team", {
+      ...image,
+      source: "public/img/team.jpg",
+    });
+
+    // The smallest 1920w file of each image: 2 x 600000 bytes
+    expect(checker.checkPages()).toEqual([
+      {
+        severity: "warn",
+        message:
+          "Image budget exceeded: Page /home loads 1.14 MB of images, over the 976.56 KB limit (maxPageBytes)",
+      },
+    ]);
+  });
+
+  test("reports each violation once", () => {
+    const checker = new BudgetChecker([{ maxSourceWidth: 4000 }]);
+
+    expect(checker.checkImage("image:hero", image)).toHaveLength(1);
+    expect(
+      checker.checkImage("image:hero", { ...image, page: "/about" })
+    ).toHaveLength(0);
+
+    checker.reset();
+    expect(checker.checkImage("image:hero", image)).toHaveLength(1);
+  });
+});
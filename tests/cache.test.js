@@ -1,5 +1,8 @@
 // tests/cache.test.js
 import { jest } from "@jest/globals";
+import { join } from "node:path";
+import { mkdtemp, readFile, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
 import { Cache } from "../src/cache.js";
 
 describe("Cache", () => {
@@ -38,6 +41,16 @@ describe("Cache", () => {
     expect(cache.size).toBe(0);
   });
 
+  test("keeps entries that are in use", async () => {
+    await cache.set("used", "value");
+
+    // Each read restarts the TTL
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(await cache.get("used")).toBe("value");
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(await cache.get("used")).toBe("value");
+  });
+
   test("deletes entries", async () => {
     const key = "delete-test";
     await cache.set(key, "value");
@@ -106,4 +119,83 @@ describe("Cache", () => {
     // Test with undefined values
     await expect(cache.set("key", undefined)).resolves.not.toThrow();
   });
+
+  describe("persistence", () => {
+    let cachePath;
+
+    beforeEach(async () => {
+      const dir = await mkdtemp(join(tmpdir(), "cache-test-"));
+      cachePath = join(dir, "cache-manifest.json");
+    });
+
+    test("restores saved entries in a new instance", async () => {
+      const first = new Cache(60000);
+      await first.load(cachePath);
+      await first.set("image:abc", { attrs: { width: 640 } });
+      expect(await first.save()).toBe(true);
+
+      const second = new Cache(60000);
+      expect(await second.load(cachePath)).toBe(1);
+      expect(await second.get("image:abc")).toEqual({ attrs: { width: 640 } });
+      expect(second.size).toBe(1);
+    });
+
+    test("starts cold when the file is missing or corrupt", async () => {
+      expect(await cache.load(cachePath)).toBe(0);
+
+      await writeFile(cachePath, "{ not json");
+      expect(await cache.load(cachePath)).toBe(0);
+      expect(cache.size).toBe(0);
+    });
+
+    test("skips expired entries", async () => {
+      await writeFile(
+        cachePath,
+        JSON.stringify({
+          version: 1,
+          entries: {
+            old: { value: "stale", timestamp: Date.now() - 1000 },
+            fresh: { value: "ok", timestamp: Date.now() },
+          },
+        })
+      );
+
+      expect(await cache.load(cachePath)).toBe(1);
+      expect(await cache.get("old")).toBeNull();
+      expect(await cache.get("fresh")).toBe("ok");
+    });
+
+    test("saves when an entry was last used", async () => {
+      const written = Date.now() - 80;
+      await writeFile(
+        cachePath,
+        JSON.stringify({
+          version: 1,
+          entries: { used: { value: "ok", timestamp: written } },
+        })
+      );
+
+      await cache.load(cachePath);
+      expect(await cache.get("used")).toBe("ok");
+      expect(await cache.save()).toBe(true);
+
+      const data = JSON.parse(await readFile(cachePath, "utf8"));
+      expect(data.entries.used.timestamp).toBeGreaterThan(written);
+    });
+
+    test("writes entries in a stable order", async () => {
+      await cache.load(cachePath);
+      await cache.set("b", 2);
+      await cache.set("a", 1);
+      await cache.save();
+
+      const data = JSON.parse(await readFile(cachePath, "utf8"));
+      expect(Object.keys(data.entries)).toEqual(["a", "b"]);
+    });
+
+    test("does not write when nothing changed", async () => {
+      await cache.load(cachePath);
+      expect(await cache.save()).toBe(false);
+    });
+  });
 });
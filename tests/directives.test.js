@@ -0,0 +1,202 @@
+// tests/directives.test.js
+import { jest } from "@jest/globals";
+import {
+  parseDirectives,
+  applyDirectives,
+  parseAspectRatio,
+  parsePosition,
+} from "../src/directives.js";
+
+describe("parseDirectives", () => {
+  test("reads directives from the query string", () => {
+    const { attrs, directives } = parseDirectives({
+      src: "/img/photo.jpg?w=400,800&fit=cover&ar=16:9&focus=0.3,0.6&format=webp,jpg&q=70",
+      alt: "Photo",
+    });
+
+    expect(attrs).toEqual({ src: "/img/photo.jpg", alt: "Photo" });
+    expect(directives).toEqual({
+      widths: [400, 800],
+      fit: "cover",
+      aspectRatio: 16 / 9,
+      position: { x: 0.3, y: 0.6 },
+      formats: ["webp", "jpeg"],
+      quality: 70,
+    });
+  });
+
+  test("reads a preset name", () => {
+    expect(
+      parseDirectives({ src: "/img/photo.jpg?preset=hero&q=60" }).directives
+    ).toEqual({ preset: "hero", quality: 60 });
+  });
+
+  test("reads a display width and densities", () => {
+    expect(
+      parseDirectives({ src: "/img/logo.png?display=48&density=1,1.5x,2" })
+        .directives
+    ).toEqual({ displayWidth: 48, densities: [1, 1.5, 2] });
+  });
+
+  test("keeps unknown query parameters", () => {
+    const { attrs, directives } = parseDirectives({
+      src: "/img/photo.jpg?v=2&w=400",
+    });
+
+    expect(attrs.src).toBe("/img/photo.jpg?v=2");
+    expect(directives).toEqual({ widths: [400] });
+  });
+
+  test("leaves the query of remote URLs alone", () => {
+    const src = "https://cdn.example.com/photo.jpg?w=400";
+    const { attrs, directives } = parseDirectives({ src }, { remote: true });
+
+    expect(attrs.src).toBe(src);
+    expect(directives).toEqual({});
+  });
+
+  test("reads the optimize attribute", () => {
+    const { attrs, directives } = parseDirectives({
+      src: "https://cdn.example.com/photo.jpg",
+      optimize: "w=300 q=50",
+    });
+
+    expect(attrs).toEqual({ src: "https://cdn.example.com/photo.jpg" });
+    expect(directives).toEqual({ widths: [300], quality: 50 });
+
+    expect(
+      parseDirectives({ src: "/a.jpg", optimize: false }).directives
+    ).toEqual({ skip: true });
+  });
+
+  test("reads a title made only of directives", () => {
+    const { attrs, directives } = parseDirectives({
+      src: "/img/photo.jpg",
+      title: "w=300 nooptimize",
+    });
+
+    expect(attrs).toEqual({ src: "/img/photo.jpg" });
+    expect(directives).toEqual({ widths: [300], skip: true });
+  });
+
+  test("keeps a regular title", () => {
+    const { attrs, directives } = parseDirectives({
+      src: "/img/photo.jpg",
+      title: "A photo with w=300 in it",
+    });
+
+    expect(attrs.title).toBe("A photo with w=300 in it");
+    expect(directives).toEqual({});
+
+    // Only nooptimize is read without a value
+    for (const title of ["Skip", "skip"]) {
+      const parsed = parseDirectives({ src: "/img/photo.jpg", title });
+      expect(parsed.attrs.title).toBe(title);
+      expect(parsed.directives).toEqual({});
+    }
+  });
+
+  test("rejects invalid values", () => {
+    expect(() => parseDirectives({ src: "/a.jpg?w=abc" })).toThrow(
+      "Invalid width directive: abc"
+    );
+    expect(() => parseDirectives({ src: "/a.jpg?format=bmp" })).toThrow(
+      "Invalid format directive: bmp"
+    );
+    expect(() => parseDirectives({ src: "/a.jpg?q=0" })).toThrow(
+      "Invalid quality directive: 0"
+    );
+    expect(() => parseDirectives({ src: "/a.jpg?fit=stretch" })).toThrow(
+      "Invalid fit directive: stretch"
+    );
+    expect(() => parseDirectives({ src: "/a.jpg?display=1.5" })).toThrow(
+      "Invalid display directive: 1.5"
+    );
+    expect(() => parseDirectives({ src: "/a.jpg?density=0" })).toThrow(
+      "Invalid density directive: 0"
+    );
+  });
+});
+
+describe("parseAspectRatio", () => {
+  test("accepts ratios and numbers", () => {
+    expect(parseAspectRatio("16:9")).toBeCloseTo(1.778, 3);
+    expect(parseAspectRatio("4/3")).toBeCloseTo(1.333, 3);
+    expect(parseAspectRatio("1.5")).toBe(1.5);
+    expect(parseAspectRatio(2)).toBe(2);
+  });
+
+  test("rejects anything else", () => {
+    expect(() => parseAspectRatio("wide")).toThrow("Invalid aspect ratio");
+    expect(() => parseAspectRatio("16:0")).toThrow("Invalid aspect ratio");
+  });
+});
+
+describe("parsePosition", () => {
+  test("accepts focal points, gravities and strategies", () => {
+    expect(parsePosition("0.3,0.6")).toEqual({ x: 0.3, y: 0.6 });
+    expect(parsePosition({ x: 0, y: 1 })).toEqual({ x: 0, y: 1 });
+    expect(parsePosition("Right Top")).toBe("right top");
+    expect(parsePosition("attention")).toBe("attention");
+  });
+
+  test("rejects anything else", () => {
+    expect(() => parsePosition("1.5,0")).toThrow("Invalid position: 1.5,0");
+    expect(() => parsePosition("0.5")).toThrow("Invalid position");
+    expect(() => parsePosition("middle")).toThrow("Invalid position");
+  });
+});
+
+describe("applyDirectives", () => {
+  test("overrides plugin options", () => {
+    const options = {
+      formats: ["webp"],
+      quality: 80,
+      sizes: [{ width: 640, suffix: "sm" }],
+    };
+
+    expect(
+      applyDirectives(options, {
+        widths: [300, 600],
+        quality: 60,
+        fit: "cover",
+      })
+    ).toEqual({
+      formats: ["webp"],
+      quality: 60,
+      fit: "cover",
+      sizes: [
+        { width: 300, suffix: "w300" },
+        { width: 600, suffix: "w600" },
+      ],
+    });
+  });
+
+  test("turns off the quality search for an explicit quality", () => {
+    const options = { quality: 80, autoQuality: { target: 0.98 } };
+    const result = applyDirectives(options, { quality: 60 });
+
+    expect(result.quality).toBe(60);
+    expect(result.autoQuality).toBeUndefined();
+  });
+
+  test("wins over the qualities in formatOptions", () => {
+    const options = {
+      quality: 80,
+      formatOptions: {
+        avif: { quality: 55, effort: 4 },
+        webp: { quality: 90 },
+      },
+    };
+    const result = applyDirectives(options, { quality: 20 });
+
+    expect(result.quality).toBe(20);
+    expect(result.formatOptions).toEqual({ avif: { effort: 4 }, webp: {} });
+    expect(options.formatOptions.avif.quality).toBe(55);
+  });
+
+  test("returns the options unchanged without directives", () => {
+    const options = { formats: ["webp"], quality: 80 };
+    expect(applyDirectives(options, {})).toEqual(options);
+  });
+});
@@ -0,0 +1,47 @@
+// tests/fixtures/workers/test-worker.js
+import { parentPort, threadId } from "node:worker_threads";
+import { writeFileSync } from "node:fs";
+import { execFileSync } from "node:child_process";
+
+// Stand-in for src/worker.js that misbehaves on request
+parentPort.on("message", ({ id, action, code, file, delay = 0 }) => {
+  switch (action) {
+    case "fail":
+      parentPort.postMessage({ id, error: { message: "Bad image", code } });
+      break;
+
+    case "hang":
+      break;
+
+    // Start a file, then never return, like an encoder stuck in a bad image
+    case "spin":
+      writeFileSync(file, "partial");
+      parentPort.postMessage({ id, file });
+      for (;;);
+
+    // Start a file, then block in native code, which stopping the worker
+    // cannot interrupt
+    case "block":
+      writeFileSync(file, "partial");
+      parentPort.postMessage({ id, file });
+      execFileSync("sleep", [String(delay / 1000)]);
+      break;
+
+    case "crash":
+      setTimeout(() => {
+        throw new Error("Worker crashed");
+      });
+      break;
+
+    case "memory": {
+      const hog = [];
+      for (;;) hog.push(new Array(1e5).fill({ id }));
+    }
+
+    default:
+      setTimeout(
+        () => parentPort.postMessage({ id, result: { threadId } }),
+        delay
+      );
+  }
+});
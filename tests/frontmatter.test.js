@@ -0,0 +1,58 @@
+// tests/frontmatter.test.js
+import { jest } from "@jest/globals";
+import { findImageFields, getSections } from "../src/frontmatter.js";
+
+describe("findImageFields", () => {
+  const params = {
+    image: "/img/hero.jpg",
+    title: "Welcome",
+    background: { src: "/img/bg.jpg", alt: "" },
+    cards: [{ image: "/img/a.jpg" }, { image: "" }, { title: "No image" }],
+    gallery: ["/img/1.jpg", "/img/2.jpg"],
+  };
+
+  const find = (patterns) =>
+    findImageFields(params, patterns).map(({ parent, key }) => parent[key]);
+
+  test("finds top-level keys", () => {
+    expect(find(["image", "background", "title"])).toEqual([
+      "/img/hero.jpg",
+      { src: "/img/bg.jpg", alt: "" },
+      "Welcome",
+    ]);
+  });
+
+  test("matches any key or index with *", () => {
+    expect(find(["cards.*.image"])).toEqual(["/img/a.jpg"]);
+    expect(find(["gallery.*"])).toEqual(["/img/1.jpg", "/img/2.jpg"]);
+  });
+
+  test("ignores missing keys and lists each field once", () => {
+    expect(find(["logo", "hero.image", "image", "*"])).toEqual([
+      "/img/hero.jpg",
+      "Welcome",
+      { src: "/img/bg.jpg", alt: "" },
+    ]);
+  });
+});
+
+describe("getSections", () => {
+  test("walks pages, subpages, subsections and special pages", () => {
+    const output = {
+      pages: [
+        {
+          sections: [{ id: "1", subsections: [{ id: "1.1" }] }],
+          subpages: [{ sections: [{ id: "sub" }] }],
+        },
+      ],
+      header: { sections: [{ id: "header" }] },
+    };
+
+    expect([...getSections(output)].map(({ section }) => section.id)).toEqual([
+      "1",
+      "1.1",
+      "sub",
+      "header",
+    ]);
+  });
+});
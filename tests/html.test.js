@@ -0,0 +1,50 @@
+// tests/html.test.js
+import { jest } from "@jest/globals";
+import { isHtmlNode, getHtml, setHtml, replaceImgTags } from "../src/html.js";
+
+describe("HTML nodes", () => {
+  test("reads and writes markup in attrs or text", () => {
+    const block = { type: "html", attrs: { html: "<p>Hi</p>" } };
+    const inline = { type: "htmlInline", text: "<br>" };
+
+    expect(isHtmlNode(block)).toBe(true);
+    expect(isHtmlNode(inline)).toBe(true);
+    expect(isHtmlNode({ type: "paragraph", text: "<br>" })).toBe(false);
+
+    setHtml(block, "<p>Bye</p>");
+    setHtml(inline, "<hr>");
+    expect(getHtml(block)).toBe("<p>Bye</p>");
+    expect(getHtml(inline)).toBe("<hr>");
+  });
+});
+
+describe("replaceImgTags", () => {
+  test("passes attributes and rebuilds the tag", async () => {
+    const replace = jest.fn(async (attrs) => ({ ...attrs, src: "/new.jpg" }));
+
+    const html = await replaceImgTags(
+      `<p><img src="/a.jpg?w=1&amp;q=2" width=300 alt='x > "y"' hidden/></p>`,
+      replace
+    );
+
+    expect(replace).toHaveBeenCalledWith({
+      src: "/a.jpg?w=1&q=2",
+      width: "300",
+      alt: 'x > "y"',
+      hidden: "",
+    });
+    expect(html).toBe(
+      '<p><img src="/new.jpg" width="300" alt="x > &quot;y&quot;" hidden></p>'
+    );
+  });
+
+  test("keeps tags when the callback returns null", async () => {
+    const html = '<img SRC="/a.jpg"> and <img src="/b.jpg">';
+
+    const result = await replaceImgTags(html, async ({ src }) =>
+      src === "/a.jpg" ? null : { src: "/c.jpg" }
+    );
+
+    expect(result).toBe('<img SRC="/a.jpg"> and <img src="/c.jpg">');
+  });
+});
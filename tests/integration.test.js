@@ -68,7 +68,9 @@ component: Hero
     const imageNode = findImage(homePage.sections[0].content);
     expect(imageNode).toBeDefined();
     expect(imageNode.attrs).toMatchObject({
-      srcset: expect.stringContaining("webp"),
+      sources: [
+        { type: "image/webp", srcset: expect.stringContaining("webp") },
+      ],
       sizes: expect.stringContaining("vw"),
     });
   });
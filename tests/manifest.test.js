@@ -0,0 +1,72 @@
+// tests/manifest.test.js
+import { jest } from "@jest/globals";
+import { join } from "node:path";
+import { mkdtemp, readFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { Manifest } from "../src/manifest.js";
+
+const variant = (url, width) => ({
+  url,
+  width,
+  height: width / 2,
+  format: "webp",
+  bytes: width * 10,
+  quality: 80,
+  hash: `hash-${width}`,
+});
+
+describe("Manifest", () => {
+  test("merges pages and variants per source", () => {
+    const manifest = new Manifest();
+    const original = { width: 1600, height: 800, format: "jpg", bytes: 1000 };
+
+    manifest.add("public/b.jpg", {
+      original,
+      page: "/home",
+      variants: [variant("/images/b-640.webp", 640)],
+    });
+    manifest.add("public/b.jpg", {
+      original,
+      page: "/about",
+      variants: [
+        variant("/images/b-640.webp", 640),
+        variant("/images/b-320.webp", 320),
+      ],
+    });
+    manifest.add("public/a.jpg", { original, page: "/home" });
+
+    const { sources } = manifest.toJSON();
+
+    expect(Object.keys(sources)).toEqual(["public/a.jpg", "public/b.jpg"]);
+    expect(sources["public/b.jpg"]).toEqual({
+      ...original,
+      pages: ["/about", "/home"],
+      variants: [
+        variant("/images/b-320.webp", 320),
+        variant("/images/b-640.webp", 640),
+      ],
+    });
+  });
+
+  test("writes the same file for the same images in any order", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "manifest-test-"));
+    const entries = [
+      ["public/a.jpg", { page: "/a", variants: [variant("/a.webp", 100)] }],
+      ["public/b.jpg", { page: "/b", variants: [variant("/b.webp", 200)] }],
+    ];
+
+    const first = new Manifest();
+    entries.forEach(([source, entry]) => first.add(source, entry));
+    await first.save(join(dir, "first.json"));
+
+    const second = new Manifest();
+    [...entries]
+      .reverse()
+      .forEach(([source, entry]) => second.add(source, entry));
+    await second.save(join(dir, "second.json"));
+
+    expect(await readFile(join(dir, "first.json"), "utf8")).toBe(
+      await readFile(join(dir, "second.json"), "utf8")
+    );
+  });
+});
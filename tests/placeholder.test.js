@@ -0,0 +1,72 @@
+// tests/placeholder.test.js
+import { jest } from "@jest/globals";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import sharp from "sharp";
+import { thumbHashToRGBA } from "thumbhash";
+import { generatePlaceholder } from "../src/placeholder.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const IMAGE_PATH = join(
+  __dirname,
+  "fixtures",
+  "sample-site",
+  "public",
+  "img",
+  "test.png"
+);
+
+describe("generatePlaceholder", () => {
+  let image;
+
+  beforeEach(() => {
+    image = sharp(IMAGE_PATH);
+  });
+
+  test("creates a tiny blurred data URL", async () => {
+    const placeholder = await generatePlaceholder(image, "blur");
+
+    expect(placeholder.type).toBe("blur");
+    expect(placeholder.value).toMatch(/^data:image\/webp;base64,/);
+
+    const data = Buffer.from(placeholder.value.split(",")[1], "base64");
+    const metadata = await sharp(data).metadata();
+    expect(Math.max(metadata.width, metadata.height)).toBe(16);
+  });
+
+  test("respects a custom blur size", async () => {
+    const placeholder = await generatePlaceholder(image, {
+      type: "blur",
+      size: 8,
+    });
+
+    const data = Buffer.from(placeholder.value.split(",")[1], "base64");
+    const metadata = await sharp(data).metadata();
+    expect(Math.max(metadata.width, metadata.height)).toBe(8);
+  });
+
+  test("extracts the dominant color", async () => {
+    const placeholder = await generatePlaceholder(image, "color");
+
+    expect(placeholder).toEqual({
+      type: "color",
+      value: expect.stringMatching(/^#[0-9a-f]{6}$/),
+    });
+  });
+
+  test("encodes a decodable ThumbHash", async () => {
+    const placeholder = await generatePlaceholder(image, "thumbhash");
+
+    expect(placeholder.type).toBe("thumbhash");
+    const decoded = thumbHashToRGBA(Buffer.from(placeholder.value, "base64"));
+    expect(decoded.w).toBeGreaterThan(decoded.h); // Landscape source
+  });
+
+  test("rejects unknown types", async () => {
+    await expect(generatePlaceholder(image, "sparkle")).rejects.toThrow(
+      /Unknown placeholder type/
+    );
+  });
+});
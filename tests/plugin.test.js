@@ -1,10 +1,16 @@
 // tests/plugin.test.js
 import { jest } from "@jest/globals";
 import { join, dirname } from "node:path";
-import { mkdir, writeFile } from "node:fs/promises";
+import {
+  mkdir,
+  writeFile,
+  readFile,
+  readdir,
+  copyFile,
+  utimes,
+} from "node:fs/promises";
 import { fileURLToPath } from "node:url";
 import { tmpdir } from "node:os";
-import { ImageOptimizerPlugin } from "../src/plugin.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -12,22 +18,70 @@ const __dirname = dirname(__filename);
 const FIXTURES_PATH = join(__dirname, "fixtures", "sample-site");
 
 jest.unstable_mockModule("sharp", () => {
-  return jest.fn(() => ({
+  const decodable = { input: { file: true } };
+  const sharp = jest.fn(() => ({
+    // Size of the fixture image
     metadata: jest.fn().mockResolvedValue({
-      width: 1920,
-      height: 1080,
+      width: 1792,
+      height: 1024,
       format: "jpeg",
     }),
     clone: jest.fn().mockReturnThis(),
     resize: jest.fn().mockReturnThis(),
     webp: jest.fn().mockReturnThis(),
     avif: jest.fn().mockReturnThis(),
-    toFile: jest.fn().mockResolvedValue({ size: 1024 }),
+    jpeg: jest.fn().mockReturnThis(),
+    png: jest.fn().mockReturnThis(),
+    // Write a stand-in so the plugin can hash and find the variant
+    toFile: jest.fn(async (path) => {
+      await writeFile(path, "variant");
+      return { size: 7 };
+    }),
   }));
+
+  // Formats the installed build can decode
+  sharp.format = Object.fromEntries(
+    ["jpeg", "png", "webp", "heif", "gif", "tiff"].map((f) => [f, decodable])
+  );
+
+  return { default: sharp };
 });
 
-// Import sharp **after** the mock
-const sharp = await import("sharp");
+// Jobs running in the worker pool, and the most at once
+const poolUse = { running: 0, peak: 0 };
+
+// Run the worker jobs in this thread so they see the sharp mock
+jest.unstable_mockModule("../src/workers.js", () => ({
+  getDefaultPoolSize: () => 2,
+  WorkerPool: class {
+    async run({ imagePath, outputDir, options, ...job }, { signal } = {}) {
+      poolUse.running++;
+      poolUse.peak = Math.max(poolUse.peak, poolUse.running);
+      try {
+        const { ImageProcessor } = await import("../src/processor.js");
+        return await new ImageProcessor(options).process(imagePath, outputDir, {
+          ...job,
+          signal,
+        });
+      } finally {
+        poolUse.running--;
+      }
+    }
+
+    async close() {}
+  },
+}));
+
+// Import sharp and the plugin **after** the mocks
+const { default: sharp } = await import("sharp");
+const { ImageOptimizerPlugin } = await import("../src/plugin.js");
+
+// Make the next image's encoder never finish
+function hangEncoder() {
+  const image = sharp.getMockImplementation()();
+  image.toFile = jest.fn(() => new Promise(() => {}));
+  sharp.mockImplementationOnce(() => image);
+}
 
 describe("ImageOptimizerPlugin", () => {
   let plugin;
@@ -54,13 +108,15 @@ describe("ImageOptimizerPlugin", () => {
       formats: ["webp"],
       quality: 80,
       sizes: [{ width: 640, suffix: "sm" }],
+      cacheFile: false,
+      manifest: false,
     });
 
     // Mock context
     context = {
       resourcePath: join(testDir, "pages"), // Root directory of the pages
       errors: [],
-      currentFile: join(testDir, "home", "content.md"),
+      currentFile: join(testDir, "pages", "home"), // The page directory
       cache: new Map(),
     };
   });
@@ -86,7 +142,11 @@ describe("ImageOptimizerPlugin", () => {
     // Verify that image node was processed
     const imageNode = result.content[0];
     expect(imageNode.attrs).toMatchObject({
-      srcset: expect.stringContaining("webp"),
+      src: expect.stringContaining("jpeg"),
+      srcset: expect.stringContaining("jpeg"),
+      sources: [
+        { type: "image/webp", srcset: expect.stringContaining("webp") },
+      ],
       sizes: expect.stringContaining("vw"),
       width: 1792,
       height: 1024,
@@ -164,6 +224,100 @@ describe("ImageOptimizerPlugin", () => {
     });
   });
 
+  test("optimizes an image repeated across documents", async () => {
+    const makeContent = (alt) => ({
+      type: "doc",
+      content: [{ type: "image", attrs: { src: "/img/test.png", alt } }],
+    });
+
+    const home = makeContent("Home");
+    const about = makeContent("About");
+    await plugin.processContent(home, context);
+    await plugin.processContent(about, {
+      ...context,
+      currentFile: join(testDir, "pages", "about"),
+    });
+
+    // Same optimized attributes, each node keeping its own alt text
+    const { alt: homeAlt, ...homeAttrs } = home.content[0].attrs;
+    const { alt: aboutAlt, ...aboutAttrs } = about.content[0].attrs;
+    expect([homeAlt, aboutAlt]).toEqual(["Home", "About"]);
+    expect(aboutAttrs).toEqual(homeAttrs);
+    expect(aboutAttrs).toMatchObject({
+      srcset: expect.any(String),
+      width: expect.any(Number),
+      height: expect.any(Number),
+    });
+  });
+
+  test("encodes an image once for concurrent documents", async () => {
+    const documents = Array.from({ length: 3 }, () => ({
+      type: "doc",
+      content: [
+        { type: "image", attrs: { src: "/img/test.png" } },
+        { type: "image", attrs: { src: "/img/test.png" } },
+      ],
+    }));
+
+    await Promise.all(
+      documents.map((content) => plugin.processContent(content, context))
+    );
+
+    const nodes = documents.flatMap((content) => content.content);
+    expect(sharp).toHaveBeenCalledTimes(1);
+    nodes.forEach((node) => {
+      expect(node.attrs).toEqual(nodes[0].attrs);
+      expect(node.attrs.srcset).toBeDefined();
+    });
+    expect(context.errors).toHaveLength(0);
+  });
+
+  test("gives up on an image that takes too long", async () => {
+    plugin = new ImageOptimizerPlugin({
+      outputDir: "./cache",
+      formats: ["webp"],
+      sizes: [{ width: 640, suffix: "sm" }],
+      cacheFile: false,
+      manifest: false,
+      timeout: 50,
+    });
+    hangEncoder();
+
+    const content = {
+      type: "doc",
+      content: [{ type: "image", attrs: { src: "/img/test.png" } }],
+    };
+    await plugin.processContent(content, context);
+
+    expect(content.content[0].attrs).toEqual({ src: "/img/test.png" });
+    expect(context.errors).toEqual([
+      expect.objectContaining({
+        message: "Failed to process image /img/test.png: Timed out after 50 ms",
+      }),
+    ]);
+  });
+
+  test("stops processing when the build is cancelled", async () => {
+    hangEncoder();
+
+    const content = {
+      type: "doc",
+      content: [{ type: "image", attrs: { src: "/img/test.png" } }],
+    };
+    await plugin.beforeCollect(context);
+    const processing = plugin.processContent(content, context);
+    setTimeout(() => plugin.cancel(), 20);
+    await processing;
+    await plugin.afterCollect(context);
+
+    // Reported once for the build, not for each image
+    expect(context.errors).toEqual([
+      expect.objectContaining({
+        message: "Image processing cancelled: Build cancelled",
+      }),
+    ]);
+  });
+
   test("respects plugin options", async () => {
     plugin = new ImageOptimizerPlugin({
       outputDir: "./cache",
@@ -189,6 +343,10 @@ describe("ImageOptimizerPlugin", () => {
     const imageNode = content.content[0];
     expect(imageNode.attrs.srcset).toContain("/custom/");
     expect(imageNode.attrs.srcset).toContain("800w");
+    expect(imageNode.attrs.sources.map((s) => s.type)).toEqual([
+      "image/avif",
+      "image/webp",
+    ]);
   });
 
   test("validates options", () => {
@@ -203,5 +361,768 @@ describe("ImageOptimizerPlugin", () => {
         quality: 101,
       });
     }).toThrow(/Quality must be/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        autoQuality: { metric: "dssim", target: 0.98 },
+      });
+    }).toThrow(/autoQuality.target for dssim must be between 0 and 0.5/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        autoQuality: { min: 90, max: 40 },
+      });
+    }).toThrow(/autoQuality.min and max/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        workers: -1,
+      });
+    }).toThrow(/workers must be "auto" or a whole number/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        timeout: "1m",
+      });
+    }).toThrow(/timeout must be a number of milliseconds/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        limitInputPixels: 0,
+      });
+    }).toThrow(/limitInputPixels must be a number of pixels/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        formatOptions: { avif: { effort: 12 } },
+      });
+    }).toThrow(/formatOptions.avif.effort must be an integer from 0 to 9/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        formatOptions: { jpeg: { progresive: true } },
+      });
+    }).toThrow(/Unknown option formatOptions.jpeg.progresive/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        presets: { logo: { displayWidth: 48, densities: [1, 5] } },
+      });
+    }).toThrow(/Invalid preset logo: densities must be/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        prune: { grace: 1000 },
+      });
+    }).toThrow(/Unknown prune options: grace/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        filename: "[name]-[hash:8].[ext]",
+      });
+    }).toThrow(/\[width\] or \[suffix\]/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        filename: "[name]-[color]-[width].[ext]",
+      });
+    }).toThrow(/Unknown filename tokens: color/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        sizes: [{ width: 200, suffix: "sq", aspectRatio: 1, position: "1,2" }],
+      });
+    }).toThrow(/Invalid size sq: Invalid position: 1,2/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        report: "csv",
+      });
+    }).toThrow(/Report must be one of/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        budgets: [{ maxPageBytes: 1000, severity: "fatal" }],
+      });
+    }).toThrow(/Budget 1: severity must be one of: warn, error/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        presets: { thumbnail: { quality: 0 } },
+      });
+    }).toThrow(/Invalid preset thumbnail: Quality must be/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        presets: { thumbnail: { crop: true } },
+      });
+    }).toThrow(/Unknown options in preset thumbnail: crop/);
+
+    expect(() => {
+      new ImageOptimizerPlugin({
+        presets: {},
+        componentPresets: { Hero: "hero" },
+      });
+    }).toThrow(/Unknown preset for Hero: hero/);
+  });
+
+  test("uses sizes rules for the section component", async () => {
+    const options = {
+      outputDir: "./cache",
+      formats: ["webp"],
+      sizes: [{ width: 640, suffix: "sm" }],
+      cacheFile: false,
+      sizesAttribute: {
+        default: "(max-width: 768px) 100vw, 50vw",
+        components: { Hero: "100vw" },
+      },
+    };
+
+    const makeContent = () => ({
+      type: "doc",
+      content: [{ type: "image", attrs: { src: "/img/test.png" } }],
+    });
+
+    // pages/home/content.md is a Hero section
+    const hero = makeContent();
+    await new ImageOptimizerPlugin(options).processContent(hero, {
+      ...context,
+      currentSection: join(testDir, "pages", "home", "content.md"),
+    });
+    expect(hero.content[0].attrs.sizes).toBe("100vw");
+
+    // pages/about/1-intro.md has no rule and gets the default
+    const intro = makeContent();
+    await new ImageOptimizerPlugin(options).processContent(intro, {
+      ...context,
+      currentSection: join(testDir, "pages", "about", "1-intro.md"),
+    });
+    expect(intro.content[0].attrs.sizes).toBe("(max-width: 768px) 100vw, 50vw");
+  });
+
+  test("applies presets per image and per component", async () => {
+    const options = {
+      outputDir: "./cache",
+      formats: ["webp"],
+      sizes: [{ width: 640, suffix: "sm" }],
+      cacheFile: false,
+      presets: {
+        hero: {
+          sizes: [{ width: 1280, suffix: "hero" }],
+          sizesAttribute: "100vw",
+        },
+        avatar: {
+          sizes: [{ width: 96, suffix: "avatar" }],
+          aspectRatio: "1:1",
+          fit: "cover",
+        },
+      },
+      componentPresets: { Hero: "hero" },
+    };
+    const heroContext = {
+      ...context,
+      currentSection: join(testDir, "pages", "home", "content.md"),
+    };
+
+    // Every image in a Hero section uses the hero preset
+    const hero = {
+      type: "doc",
+      content: [{ type: "image", attrs: { src: "/img/test.png" } }],
+    };
+    await new ImageOptimizerPlugin(options).processContent(hero, heroContext);
+    expect(hero.content[0].attrs.srcset).toContain("1280w");
+    expect(hero.content[0].attrs.sizes).toBe("100vw");
+
+    // A preset chosen in the image wins over the component preset
+    const avatar = {
+      type: "doc",
+      content: [
+        { type: "image", attrs: { src: "/img/test.png?preset=avatar" } },
+      ],
+    };
+    await new ImageOptimizerPlugin(options).processContent(avatar, heroContext);
+    expect(avatar.content[0].attrs).toMatchObject({
+      srcset: expect.stringContaining("96w"),
+      width: 96,
+      height: 96,
+      originalSrc: "/img/test.png",
+    });
+
+    // Unknown presets are reported
+    const unknown = {
+      type: "doc",
+      content: [{ type: "image", attrs: { src: "/img/test.png?preset=nope" } }],
+    };
+    await new ImageOptimizerPlugin(options).processContent(unknown, context);
+    expect(context.errors[0].message).toMatch(/Unknown preset: nope/);
+  });
+
+  test("optimizes images in front matter parameters", async () => {
+    const params = {
+      title: "Welcome",
+      image: "/img/test.png",
+      cards: [{ image: { src: "/img/test.png?w=320", alt: "Card" } }],
+      background: "/nonexistent.jpg",
+    };
+
+    plugin = new ImageOptimizerPlugin({
+      outputDir: "./cache",
+      formats: ["webp"],
+      sizes: [{ width: 640, suffix: "sm" }],
+      cacheFile: false,
+      frontMatterImages: ["image", "background", "cards.*.image"],
+    });
+    await plugin.processFrontMatter(params, context);
+
+    expect(params.title).toBe("Welcome");
+    expect(params.image).toMatchObject({
+      src: expect.stringContaining("/images/"),
+      srcset: expect.stringContaining("640w"),
+      width: expect.any(Number),
+      height: expect.any(Number),
+      originalSrc: "/img/test.png",
+    });
+    expect(params.cards[0].image).toMatchObject({
+      alt: "Card",
+      srcset: expect.stringContaining("320w"),
+    });
+
+    // Images that fail keep their path and are reported
+    expect(params.background).toBe("/nonexistent.jpg");
+    expect(context.errors).toHaveLength(1);
+  });
+
+  test("optimizes front matter images in the collected output", async () => {
+    const output = {
+      pages: [
+        {
+          route: "/",
+          sections: [
+            {
+              id: "1",
+              component: "Hero",
+              params: { image: "/img/test.png" },
+              subsections: [],
+            },
+          ],
+        },
+      ],
+    };
+
+    plugin = new ImageOptimizerPlugin({
+      outputDir: "./cache",
+      formats: ["webp"],
+      sizes: [{ width: 640, suffix: "sm" }],
+      cacheFile: false,
+      sizesAttribute: { components: { Hero: "100vw" } },
+      frontMatterImages: ["image"],
+    });
+    await plugin.transform(output, context);
+
+    expect(output.pages[0].sections[0].params.image).toMatchObject({
+      srcset: expect.stringContaining("640w"),
+      sizes: "100vw",
+      originalSrc: "/img/test.png",
+    });
+  });
+
+  test("optimizes front matter images within the build", async () => {
+    const siteDir = join(tmpdir(), "image-optimizer-params-" + Date.now());
+    const sectionPath = join(siteDir, "pages", "home", "1-hero.md");
+    await mkdir(join(siteDir, "public", "img"), { recursive: true });
+    await mkdir(dirname(sectionPath), { recursive: true });
+    await copyFile(
+      join(FIXTURES_PATH, "public", "img", "test.png"),
+      join(siteDir, "public", "img", "test.png")
+    );
+    await writeFile(
+      sectionPath,
+      "---\ncomponent: Hero\nimage: /img/test.png\n---\n\n# Welcome\n"
+    );
+
+    const siteContext = {
+      ...context,
+      resourcePath: join(siteDir, "pages"),
+      currentFile: join(siteDir, "pages", "home"),
+      errors: [],
+    };
+
+    // The collector's calls, then transform on the collected output. Each
+    // build starts with a new plugin, as a new process would
+    const build = async (options = { frontMatterImages: ["image"] }) => {
+      plugin = new ImageOptimizerPlugin({
+        outputDir: "cache",
+        formats: ["webp"],
+        sizes: [{ width: 640, suffix: "sm" }],
+        ...options,
+      });
+      const content = { type: "doc", content: [] };
+      const output = {
+        pages: [
+          {
+            route: "/home",
+            sections: [
+              { id: "1-hero", params: { image: "/img/test.png" }, content },
+            ],
+          },
+        ],
+      };
+
+      await plugin.beforeCollect(siteContext);
+      await plugin.processContent(content, {
+        ...siteContext,
+        currentSection: sectionPath,
+      });
+      await plugin.afterCollect(siteContext);
+      await plugin.transform(output, siteContext);
+
+      return { output, report: plugin.getReport() };
+    };
+
+    const first = await build();
+    expect(first.report.totals).toMatchObject({ cacheHits: 0, cacheMisses: 1 });
+    const manifest = JSON.parse(
+      await readFile(join(siteDir, "cache", "images-manifest.json"), "utf8")
+    );
+    expect(manifest.sources["public/img/test.png"].pages).toEqual(["/home"]);
+
+    // The next build finds the image in the saved cache
+    const second = await build();
+    expect(second.report.totals).toMatchObject({
+      cacheHits: 1,
+      cacheMisses: 0,
+    });
+    expect(second.output.pages[0].sections[0].params.image).toEqual(
+      first.output.pages[0].sections[0].params.image
+    );
+    expect(second.output.pages[0].sections[0].params.image).toMatchObject({
+      srcset: expect.stringContaining("640w"),
+      originalSrc: "/img/test.png",
+    });
+    expect(siteContext.errors).toHaveLength(0);
+
+    // Front matter is left alone unless its keys are listed
+    const unlisted = await build({});
+    expect(unlisted.report.totals.images).toBe(0);
+    expect(unlisted.output.pages[0].sections[0].params.image).toBe(
+      "/img/test.png"
+    );
+  });
+
+  test("encodes the images of a page at the same time", async () => {
+    const content = {
+      type: "doc",
+      content: [
+        {
+          type: "paragraph",
+          content: [
+            { type: "image", attrs: { src: "/img/test.png?w=300" } },
+            { type: "image", attrs: { src: "/img/test.png?w=400" } },
+          ],
+        },
+        { type: "image", attrs: { src: "/img/test.png?w=500" } },
+      ],
+    };
+
+    poolUse.peak = 0;
+    await plugin.beforeCollect(context);
+    await plugin.processContent(content, context);
+    await plugin.afterCollect(context);
+
+    expect(poolUse.peak).toBeGreaterThan(1);
+    expect(content.content[1].attrs.srcset).toMatch(/500w/);
+    expect(content.content[0].content[1].attrs.srcset).toMatch(/400w/);
+  });
+
+  test("optimizes <img> tags in raw HTML", async () => {
+    const content = {
+      type: "doc",
+      content: [
+        {
+          type: "html",
+          attrs: {
+            html: '<figure><img src="/img/test.png" alt="Test" class="wide"><img src="/img/test.png?q=60" width="200"></figure>',
+          },
+        },
+      ],
+    };
+
+    await plugin.processContent(content, context);
+
+    const [first, second] = content.content[0].attrs.html.match(/<img[^>]*>/g);
+    expect(first).toMatch(
+      /^<img src="\/images\/[^"]+" alt="Test" class="wide"/
+    );
+    expect(first).toMatch(/srcset="[^"]+640w"/);
+    expect(first).toMatch(/width="\d+" height="\d+"/);
+
+    // Author-set dimensions are kept as they are
+    expect(second).toMatch(/width="200"/);
+    expect(second).not.toMatch(/height=/);
+
+    // Without a <picture>, other formats would never be used
+    const encoders = sharp.mock.results.map(({ value }) => value);
+    expect(encoders.some((image) => image.webp.mock.calls.length)).toBe(false);
+  });
+
+  test("points links to image files at a full-size variant", async () => {
+    plugin = new ImageOptimizerPlugin({
+      outputDir: "./cache",
+      formats: ["webp"],
+      sizes: [{ width: 640, suffix: "sm" }],
+      cacheFile: false,
+      links: true,
+    });
+
+    const link = { type: "link", attrs: { href: "/img/test.png" } };
+    const page = { type: "link", attrs: { href: "/about" } };
+    const content = {
+      type: "doc",
+      content: [
+        {
+          type: "paragraph",
+          content: [
+            { type: "text", text: "Download", marks: [link] },
+            { type: "text", text: "About", marks: [page] },
+          ],
+        },
+      ],
+    };
+
+    await plugin.processContent(content, context);
+
+    expect(link.attrs.href).toMatch(/^\/images\/test-\w+-\d+\.(jpeg|png)$/);
+    expect(page.attrs.href).toBe("/about");
+  });
+
+  test("keeps a sizes attribute set by the author", async () => {
+    const content = {
+      type: "doc",
+      content: [
+        {
+          type: "image",
+          attrs: { src: "/img/test.png", sizes: "(min-width: 60em) 20vw" },
+        },
+      ],
+    };
+
+    await plugin.processContent(content, context);
+
+    expect(content.content[0].attrs.sizes).toBe("(min-width: 60em) 20vw");
+    expect(content.content[0].attrs.srcset).toBeDefined();
+  });
+
+  test("leaves remote images from other hosts untouched", async () => {
+    const content = {
+      type: "doc",
+      content: [
+        {
+          type: "image",
+          attrs: { src: "https://example.com/photo.jpg", alt: "Remote" },
+        },
+      ],
+    };
+
+    await plugin.processContent(content, context);
+
+    expect(content.content[0].attrs).toEqual({
+      src: "https://example.com/photo.jpg",
+      alt: "Remote",
+    });
+    expect(sharp).not.toHaveBeenCalled();
+    expect(context.errors).toHaveLength(0);
+  });
+
+  test("reuses results from a previous build", async () => {
+    // Copy the fixture image into a scratch site so the cache file stays out
+    // of the fixtures
+    const siteDir = join(tmpdir(), "image-optimizer-cache-" + Date.now());
+    await mkdir(join(siteDir, "public", "img"), { recursive: true });
+    await copyFile(
+      join(FIXTURES_PATH, "public", "img", "test.png"),
+      join(siteDir, "public", "img", "test.png")
+    );
+
+    const options = {
+      outputDir: "cache",
+      publicPath: "/images",
+      formats: ["webp"],
+      sizes: [{ width: 640, suffix: "sm" }],
+    };
+    const siteContext = {
+      ...context,
+      resourcePath: join(siteDir, "pages"),
+      errors: [],
+    };
+    const makeContent = () => ({
+      type: "doc",
+      content: [{ type: "image", attrs: { src: "/img/test.png" } }],
+    });
+
+    // First build encodes the image and saves the cache
+    const first = new ImageOptimizerPlugin(options);
+    await first.beforeCollect(siteContext);
+    await first.processContent(makeContent(), siteContext);
+    await first.afterCollect(siteContext);
+
+    // Second build starts a new process with a cold in-memory state
+    sharp.mockClear();
+    const second = new ImageOptimizerPlugin(options);
+    const content = makeContent();
+    await second.beforeCollect(siteContext);
+    await second.processContent(content, siteContext);
+    await second.afterCollect(siteContext);
+
+    expect(sharp).not.toHaveBeenCalled();
+    expect(content.content[0].attrs.sources[0].srcset).toContain("webp");
+    expect(siteContext.errors).toHaveLength(0);
+  });
+
+  test("processes a source again when it changes on disk", async () => {
+    const siteDir = join(tmpdir(), "image-optimizer-changes-" + Date.now());
+    const imagePath = join(siteDir, "public", "img", "test.png");
+    await mkdir(join(siteDir, "public", "img"), { recursive: true });
+    await copyFile(join(FIXTURES_PATH, "public", "img", "test.png"), imagePath);
+
+    const siteContext = {
+      ...context,
+      resourcePath: join(siteDir, "pages"),
+      errors: [],
+    };
+    plugin = new ImageOptimizerPlugin({
+      outputDir: "cache",
+      formats: ["webp"],
+      sizes: [{ width: 640, suffix: "sm" }],
+      cacheFile: false,
+      manifest: false,
+    });
+
+    // One long-running plugin, as in a dev server
+    const build = async () => {
+      const content = {
+        type: "doc",
+        content: [
+          { type: "image", attrs: { src: "/img/test.png" } },
+          { type: "image", attrs: { src: "/img/test.png" } },
+        ],
+      };
+      await plugin.beforeCollect(siteContext);
+      await plugin.processContent(content, siteContext);
+      await plugin.afterCollect(siteContext);
+      return content.content.map((node) => node.attrs.src);
+    };
+
+    // Same size and modification time, different contents
+    const original = await readFile(imagePath);
+    const edited = Buffer.from(original);
+    edited[edited.length - 1] ^= 0xff;
+    const mtime = new Date("2026-01-01T00:00:00Z");
+    await utimes(imagePath, mtime, mtime);
+
+    const [first, repeated] = await build();
+    expect(repeated).toBe(first);
+
+    // A size or time change is noticed on the next build
+    await writeFile(imagePath, Buffer.concat([original, Buffer.from([0])]));
+    const [changed] = await build();
+    expect(changed).not.toBe(first);
+
+    // Otherwise a file watcher tells the plugin
+    await writeFile(imagePath, original);
+    await utimes(imagePath, mtime, mtime);
+    expect((await build())[0]).toBe(first);
+
+    await writeFile(imagePath, edited);
+    await utimes(imagePath, mtime, mtime);
+    expect((await build())[0]).toBe(first);
+
+    plugin.invalidate(imagePath);
+    const [invalidated] = await build();
+    expect(invalidated).not.toBe(first);
+    expect(siteContext.errors).toHaveLength(0);
+  });
+
+  test("reports sizes and cache use", async () => {
+    const makeContent = () => ({
+      type: "doc",
+      content: [{ type: "image", attrs: { src: "/img/test.png" } }],
+    });
+
+    const build = async () => {
+      await plugin.beforeCollect(context);
+      await plugin.processContent(makeContent(), context);
+      await plugin.afterCollect(context);
+      return plugin.getReport();
+    };
+
+    const first = await build();
+    expect(first.totals).toMatchObject({
+      images: 1,
+      cacheHits: 0,
+      cacheMisses: 1,
+    });
+
+    // One output per format at each width: the webp source and the
+    // jpeg fallback
+    const [image] = first.images;
+    expect(image).toMatchObject({
+      source: "public/img/test.png",
+      originalBytes: expect.any(Number),
+      cached: false,
+    });
+    const [{ outputs }] = image.sets;
+    expect(
+      outputs.map(({ format, width }) => `${format} ${width}`).sort()
+    ).toEqual(["jpeg 640", "webp 640"]);
+    outputs.forEach((output) => {
+      expect(output.bytes).toBeGreaterThan(0);
+    });
+
+    // The next build reuses the variants
+    const second = await build();
+    expect(second.totals).toMatchObject({
+      images: 1,
+      cacheHits: 1,
+      cacheMisses: 0,
+    });
+    expect(second.images[0].cached).toBe(true);
+  });
+
+  test("reports images over budget", async () => {
+    const content = {
+      type: "doc",
+      content: [{ type: "image", attrs: { src: "/img/test.png" } }],
+    };
+
+    plugin = new ImageOptimizerPlugin({
+      outputDir: "./cache",
+      formats: ["webp"],
+      sizes: [{ width: 640, suffix: "sm" }],
+      cacheFile: false,
+      manifest: false,
+      budgets: [
+        { maxSourceBytes: 1000 },
+        { page: "/home", maxPageBytes: 1, severity: "error" },
+      ],
+    });
+
+    await plugin.beforeCollect(context);
+    await plugin.processContent(content, context);
+    await expect(plugin.afterCollect(context)).rejects.toThrow(
+      "Image budgets exceeded with 1 errors"
+    );
+
+    expect(context.errors).toEqual([
+      expect.objectContaining({
+        severity: "warn",
+        message: expect.stringMatching(
+          /public\/img\/test\.png .*maxSourceBytes/
+        ),
+      }),
+      expect.objectContaining({
+        severity: "error",
+        message: expect.stringMatching(/Page \/home .*maxPageBytes/),
+      }),
+    ]);
+  });
+
+  test("writes a manifest of sources and their outputs", async () => {
+    const siteDir = join(tmpdir(), "image-optimizer-manifest-" + Date.now());
+    await mkdir(join(siteDir, "public", "img"), { recursive: true });
+    await copyFile(
+      join(FIXTURES_PATH, "public", "img", "test.png"),
+      join(siteDir, "public", "img", "test.png")
+    );
+
+    const siteContext = {
+      ...context,
+      resourcePath: join(siteDir, "pages"),
+      currentFile: join(siteDir, "pages", "home"),
+      errors: [],
+    };
+
+    plugin = new ImageOptimizerPlugin({
+      outputDir: "cache",
+      formats: ["webp"],
+      sizes: [{ width: 640, suffix: "sm" }],
+      cacheFile: false,
+    });
+    await plugin.beforeCollect(siteContext);
+    await plugin.processContent(
+      {
+        type: "doc",
+        content: [{ type: "image", attrs: { src: "/img/test.png" } }],
+      },
+      siteContext
+    );
+    await plugin.afterCollect(siteContext);
+
+    const manifest = JSON.parse(
+      await readFile(join(siteDir, "cache", "images-manifest.json"), "utf8")
+    );
+    expect(manifest.sources["public/img/test.png"]).toMatchObject({
+      bytes: expect.any(Number),
+      pages: ["/home"],
+      variants: expect.arrayContaining([
+        expect.objectContaining({
+          url: expect.stringMatching(/^\/images\/test-\w+-640\.webp$/),
+          width: 640,
+          format: "webp",
+          hash: expect.any(String),
+        }),
+      ]),
+    });
+  });
+
+  test("prunes variants no build uses any more", async () => {
+    const siteDir = join(tmpdir(), "image-optimizer-prune-" + Date.now());
+    await mkdir(join(siteDir, "public", "img"), { recursive: true });
+    await copyFile(
+      join(FIXTURES_PATH, "public", "img", "test.png"),
+      join(siteDir, "public", "img", "test.png")
+    );
+
+    const siteContext = {
+      ...context,
+      resourcePath: join(siteDir, "pages"),
+      currentFile: join(siteDir, "pages", "home"),
+      errors: [],
+    };
+    const build = async (src, prune) => {
+      plugin = new ImageOptimizerPlugin({
+        outputDir: "cache",
+        formats: ["webp"],
+        sizes: [{ width: 640, suffix: "sm" }],
+        manifest: false,
+        prune,
+      });
+      await plugin.beforeCollect(siteContext);
+      await plugin.processContent(
+        { type: "doc", content: [{ type: "image", attrs: { src } }] },
+        siteContext
+      );
+      await plugin.afterCollect(siteContext);
+      return readdir(join(siteDir, "cache"));
+    };
+
+    await build("/img/test.png", false);
+    await writeFile(join(siteDir, "cache", "notes.txt"), "kept");
+
+    // The 640px files are unused once the image asks for 300px
+    const print = jest.spyOn(console, "log");
+    const listed = await build("/img/test.png?w=300", {
+      gracePeriod: 0,
+      dryRun: true,
+    });
+    expect(listed.filter((f) => f.includes("-640."))).toHaveLength(2);
+    expect(print).not.toHaveBeenCalled(); // Callers print the result
+    print.mockRestore();
+
+    const files = await build("/img/test.png?w=300", { gracePeriod: 0 });
+    expect(files.filter((f) => f.includes("-640."))).toHaveLength(0);
+    expect(files.filter((f) => f.includes("-300."))).toHaveLength(2);
+    expect(files).toEqual(
+      expect.arrayContaining(["notes.txt", "cache-manifest.json"])
+    );
   });
 });
@@ -0,0 +1,26 @@
+// tests/presets.test.js
+import { jest } from "@jest/globals";
+import { applyPreset } from "../src/presets.js";
+
+describe("applyPreset", () => {
+  const options = {
+    formats: ["webp"],
+    quality: 80,
+    formatOptions: { webp: { quality: 90, effort: 4 } },
+  };
+
+  test("layers the preset over the options", () => {
+    expect(applyPreset(options, { aspectRatio: "16:9" })).toEqual({
+      ...options,
+      aspectRatio: 16 / 9,
+    });
+    expect(applyPreset(options, undefined)).toBe(options);
+  });
+
+  test("wins over the qualities in formatOptions", () => {
+    const result = applyPreset(options, { quality: 40 });
+
+    expect(result.quality).toBe(40);
+    expect(result.formatOptions).toEqual({ webp: { effort: 4 } });
+  });
+});
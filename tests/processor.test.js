@@ -1,18 +1,32 @@
 // tests/processor.test.js
 import { jest } from "@jest/globals";
 import { join } from "node:path";
-import { mkdir, writeFile } from "node:fs/promises";
+import { mkdir, writeFile, readdir } from "node:fs/promises";
 import { tmpdir } from "node:os";
-import { ImageProcessor } from "../src/processor.js";
 
 // Mock sharp and file-type modules
-jest.mock("sharp");
-jest.mock("file-type", () => ({
+jest.unstable_mockModule("sharp", () => {
+  const decodable = { input: { file: true } };
+  const sharp = jest.fn();
+
+  // Formats the installed build can decode
+  sharp.format = Object.fromEntries(
+    ["jpeg", "png", "webp", "heif", "gif", "tiff"].map((f) => [f, decodable])
+  );
+
+  return { default: sharp };
+});
+jest.unstable_mockModule("file-type", () => ({
   fileTypeFromFile: jest
     .fn()
     .mockResolvedValue({ ext: "jpg", mime: "image/jpeg" }),
 }));
 
+// Import the mocks and the processor **after** mocking
+const { default: sharp } = await import("sharp");
+const { fileTypeFromFile } = await import("file-type");
+const { ImageProcessor } = await import("../src/processor.js");
+
 describe("ImageProcessor", () => {
   let processor;
   let testDir;
@@ -36,7 +50,6 @@ describe("ImageProcessor", () => {
     });
 
     // Reset and setup sharp mock
-    const sharp = require("sharp");
     sharp.mockClear();
     sharp.mockImplementation(() => ({
       metadata: jest.fn().mockResolvedValue({
@@ -61,7 +74,14 @@ describe("ImageProcessor", () => {
       width: 1920,
       height: 1080,
       format: "jpg",
-      srcset: expect.stringContaining("webp"),
+      src: expect.stringMatching(/-1024\.jpeg$/),
+      srcset: expect.stringContaining("jpeg"),
+      sources: [
+        {
+          type: "image/webp",
+          srcset: expect.stringContaining("webp"),
+        },
+      ],
       sizes: expect.stringContaining("vw"),
       variants: expect.arrayContaining([
         expect.objectContaining({
@@ -76,8 +96,33 @@ describe("ImageProcessor", () => {
     });
   });
 
+  test("resizes uncropped sizes by width only", async () => {
+    const mockSharp = {
+      metadata: jest.fn().mockResolvedValue({ width: 1792, height: 1024 }),
+      clone: jest.fn().mockReturnThis(),
+      resize: jest.fn().mockReturnThis(),
+      webp: jest.fn().mockReturnThis(),
+      jpeg: jest.fn().mockReturnThis(),
+      // sharp keeps the requested width when given no height
+      toFile: jest.fn().mockResolvedValue({ width: 1280, height: 731 }),
+    };
+    sharp.mockImplementation(() => mockSharp);
+
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["webp"],
+      sizes: [{ width: 1280, suffix: "lg" }],
+    });
+    const result = await processor.process(imagePath, testDir);
+
+    expect(mockSharp.resize).toHaveBeenCalledWith({
+      width: 1280,
+      withoutEnlargement: true,
+    });
+    expect(result.srcset).toMatch(/-1280\.jpeg 1280w$/);
+  });
+
   test("maintains aspect ratio when resizing", async () => {
-    const sharp = require("sharp");
     sharp.mockImplementationOnce(() => ({
       metadata: jest.fn().mockResolvedValue({
         width: 1000,
@@ -87,6 +132,7 @@ describe("ImageProcessor", () => {
       clone: jest.fn().mockReturnThis(),
       resize: jest.fn().mockReturnThis(),
       webp: jest.fn().mockReturnThis(),
+      jpeg: jest.fn().mockReturnThis(),
       toFile: jest.fn().mockResolvedValue({ size: 1024 }),
     }));
 
@@ -107,14 +153,14 @@ describe("ImageProcessor", () => {
 
     const result = await processor.process(imagePath, testDir);
 
-    // Should have variants for both formats
-    expect(result.variants).toHaveLength(2);
+    // Should have variants for both formats plus the jpeg fallback
+    expect(result.variants).toHaveLength(3);
     expect(result.variants.map((v) => v.format)).toContain("webp");
     expect(result.variants.map((v) => v.format)).toContain("avif");
+    expect(result.variants.map((v) => v.format)).toContain("jpeg");
   });
 
   test("applies correct optimization options per format", async () => {
-    const sharp = require("sharp");
     const mockSharp = {
       metadata: jest.fn().mockResolvedValue({
         width: 1920,
@@ -123,10 +169,10 @@ describe("ImageProcessor", () => {
       }),
       clone: jest.fn().mockReturnThis(),
       resize: jest.fn().mockReturnThis(),
-      webp: jest.fn(),
-      avif: jest.fn(),
-      jpeg: jest.fn(),
-      png: jest.fn(),
+      webp: jest.fn().mockReturnThis(),
+      avif: jest.fn().mockReturnThis(),
+      jpeg: jest.fn().mockReturnThis(),
+      png: jest.fn().mockReturnThis(),
       toFile: jest.fn().mockResolvedValue({ size: 1024 }),
     };
 
@@ -172,8 +218,176 @@ describe("ImageProcessor", () => {
     );
   });
 
+  test("applies encoder settings per format", async () => {
+    const mockSharp = {
+      metadata: jest.fn().mockResolvedValue({
+        width: 1920,
+        height: 1080,
+        format: "jpeg",
+      }),
+      clone: jest.fn().mockReturnThis(),
+      resize: jest.fn().mockReturnThis(),
+      avif: jest.fn().mockReturnThis(),
+      jpeg: jest.fn().mockReturnThis(),
+      toFile: jest.fn().mockResolvedValue({ size: 1024 }),
+    };
+    sharp.mockImplementation(() => mockSharp);
+
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["avif", "jpeg"],
+      quality: 80,
+      formatOptions: {
+        avif: { quality: 55, effort: 4 },
+        jpeg: { progressive: true, chromaSubsampling: "4:4:4" },
+      },
+      sizes: [{ width: 640, suffix: "sm" }],
+    });
+
+    const result = await processor.process(imagePath, testDir);
+
+    expect(mockSharp.avif).toHaveBeenCalledWith({ quality: 55, effort: 4 });
+    expect(mockSharp.jpeg).toHaveBeenCalledWith({
+      quality: 80,
+      mozjpeg: true,
+      progressive: true,
+      chromaSubsampling: "4:4:4",
+    });
+    expect(result.variants.map((v) => v.quality)).toEqual([55, 80]);
+  });
+
+  test("names variants after the encoder settings", async () => {
+    const plain = await processor.process(imagePath, testDir);
+    const tuned = await new ImageProcessor({
+      ...processor.options,
+      formatOptions: { webp: { effort: 4 } },
+    }).process(imagePath, testDir);
+
+    expect(tuned.src).not.toBe(plain.src);
+  });
+
+  test("generates density variants for a display width", async () => {
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["webp"],
+      quality: 80,
+      sizes: [{ width: 640, suffix: "sm" }],
+      displayWidth: 48,
+    });
+
+    const result = await processor.process(imagePath, testDir);
+    const webp = result.variants.filter((v) => v.format === "webp");
+
+    expect(webp.map((v) => v.width)).toEqual([48, 96, 144]);
+    expect(result.sources[0].srcset).toMatch(
+      /-48\.webp 1x, .*-96\.webp 2x, .*-144\.webp 3x$/
+    );
+    // Attributes describe the display size, with no sizes attribute
+    expect(result).toMatchObject({ width: 48, height: 27 });
+    expect(result.sizes).toBeUndefined();
+  });
+
+  test("reports the real density of small sources", async () => {
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["webp"],
+      quality: 80,
+      sizes: [],
+      displayWidth: 1000,
+      densities: [1, 2, 3],
+    });
+
+    const result = await processor.process(imagePath, testDir);
+
+    // The 1920px source covers 1.92x, and 3x would be the same file
+    expect(result.sources[0].srcset).toMatch(/ 1x, .* 1\.92x$/);
+  });
+
+  test("uses searched qualities per format", async () => {
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["webp"],
+      fallbackFormat: "jpeg",
+      quality: 80,
+      autoQuality: { target: 0.98 },
+      sizes: [{ width: 640, suffix: "sm" }],
+    });
+
+    // Qualities from an earlier build skip the search
+    const result = await processor.process(imagePath, testDir, {
+      qualities: { webp: 64, jpeg: 71 },
+    });
+
+    expect(result.qualities).toEqual({ webp: 64, jpeg: 71 });
+    expect(result.variants.map((v) => [v.format, v.quality])).toEqual([
+      ["webp", 64],
+      ["jpeg", 71],
+    ]);
+  });
+
+  test("removes its files when aborted", async () => {
+    const controller = new AbortController();
+    sharp.mockImplementation(() => ({
+      metadata: jest.fn().mockResolvedValue({ width: 1920, height: 1080 }),
+      clone: jest.fn().mockReturnThis(),
+      resize: jest.fn().mockReturnThis(),
+      webp: jest.fn().mockReturnThis(),
+      jpeg: jest.fn().mockReturnThis(),
+      toFile: jest.fn(async (path) => {
+        await writeFile(path, "variant");
+        controller.abort(new Error("Cancelled"));
+        return { size: 7 };
+      }),
+    }));
+
+    await expect(
+      processor.process(imagePath, testDir, { signal: controller.signal })
+    ).rejects.toThrow("Cancelled");
+
+    // Cleanup follows once the running encoders finish
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(await readdir(testDir)).toEqual(["test.jpg"]);
+  });
+
+  test("encodes a few variants of an image at a time", async () => {
+    let running = 0;
+    let peak = 0;
+    sharp.mockImplementation(() => ({
+      metadata: jest.fn().mockResolvedValue({ width: 1920, height: 1080 }),
+      clone: jest.fn().mockReturnThis(),
+      resize: jest.fn().mockReturnThis(),
+      webp: jest.fn().mockReturnThis(),
+      avif: jest.fn().mockReturnThis(),
+      jpeg: jest.fn().mockReturnThis(),
+      toFile: jest.fn(async () => {
+        peak = Math.max(peak, ++running);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        running--;
+        return { size: 7 };
+      }),
+    }));
+
+    // Two sizes in three formats
+    processor = new ImageProcessor({
+      ...processor.options,
+      formats: ["webp", "avif"],
+    });
+    const result = await processor.process(imagePath, testDir);
+
+    expect(result.variants).toHaveLength(6);
+    expect(peak).toBe(2);
+  });
+
+  test("passes the pixel limit to sharp", async () => {
+    await processor.process(imagePath, testDir, { limitInputPixels: 1e6 });
+
+    expect(sharp).toHaveBeenCalledWith(
+      imagePath,
+      expect.objectContaining({ limitInputPixels: 1e6 })
+    );
+  });
+
   test("prevents upscaling images", async () => {
-    const sharp = require("sharp");
     sharp.mockImplementationOnce(() => ({
       metadata: jest.fn().mockResolvedValue({
         width: 500, // Smaller than target sizes
@@ -183,6 +397,7 @@ describe("ImageProcessor", () => {
       clone: jest.fn().mockReturnThis(),
       resize: jest.fn().mockReturnThis(),
       webp: jest.fn().mockReturnThis(),
+      jpeg: jest.fn().mockReturnThis(),
       toFile: jest.fn().mockResolvedValue({ size: 1024 }),
     }));
 
@@ -192,12 +407,280 @@ describe("ImageProcessor", () => {
     expect(result.variants.every((v) => v.width <= 500)).toBe(true);
   });
 
+  test("keeps one variant for sizes larger than the source", async () => {
+    sharp.mockImplementation(() => ({
+      metadata: jest.fn().mockResolvedValue({
+        width: 800,
+        height: 400,
+        format: "jpeg",
+      }),
+      clone: jest.fn().mockReturnThis(),
+      resize: jest.fn().mockReturnThis(),
+      webp: jest.fn().mockReturnThis(),
+      jpeg: jest.fn().mockReturnThis(),
+      toFile: jest.fn().mockResolvedValue({ size: 1024 }),
+    }));
+
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["webp"],
+      quality: 80,
+      sizes: [
+        { width: 640, suffix: "sm" },
+        { width: 1024, suffix: "md" },
+        { width: 1920, suffix: "lg" },
+      ],
+    });
+
+    const result = await processor.process(imagePath, testDir);
+    const webp = result.variants.filter((v) => v.format === "webp");
+
+    // md and lg would both be 800px copies of the source
+    expect(webp.map((v) => v.width)).toEqual([640, 800]);
+    expect(result.sources[0].srcset.split(", ")).toHaveLength(2);
+    expect(result.sources[0].srcset).toContain(" 800w");
+  });
+
+  test("crops sizes with a height or aspect ratio", async () => {
+    const mockSharp = {
+      metadata: jest.fn().mockResolvedValue({
+        width: 1000,
+        height: 500,
+        format: "jpeg",
+      }),
+      clone: jest.fn().mockReturnThis(),
+      extract: jest.fn().mockReturnThis(),
+      resize: jest.fn().mockReturnThis(),
+      webp: jest.fn().mockReturnThis(),
+      jpeg: jest.fn().mockReturnThis(),
+      toFile: jest.fn().mockResolvedValue({ size: 1024 }),
+    };
+    sharp.mockImplementation(() => mockSharp);
+
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["webp"],
+      quality: 80,
+      sizes: [
+        { width: 200, suffix: "avatar", aspectRatio: "1:1" },
+        { width: 800, suffix: "card", height: 450, position: "attention" },
+      ],
+    });
+
+    const result = await processor.process(imagePath, testDir);
+
+    expect(mockSharp.resize).toHaveBeenCalledWith(200, 200, {
+      fit: "cover",
+      withoutEnlargement: true,
+    });
+    expect(mockSharp.resize).toHaveBeenCalledWith(800, 450, {
+      fit: "cover",
+      position: "attention",
+      withoutEnlargement: true,
+    });
+
+    // Cropped images report the size of their largest variant
+    expect(result.width).toBe(800);
+    expect(result.height).toBe(450);
+  });
+
+  test("crops around a focal point", async () => {
+    const mockSharp = {
+      metadata: jest.fn().mockResolvedValue({
+        width: 1000,
+        height: 500,
+        format: "jpeg",
+      }),
+      clone: jest.fn().mockReturnThis(),
+      extract: jest.fn().mockReturnThis(),
+      resize: jest.fn().mockReturnThis(),
+      webp: jest.fn().mockReturnThis(),
+      jpeg: jest.fn().mockReturnThis(),
+      toFile: jest.fn().mockResolvedValue({ size: 1024 }),
+    };
+    sharp.mockImplementation(() => mockSharp);
+
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["webp"],
+      quality: 80,
+      aspectRatio: 1,
+      position: { x: 0.9, y: 0.5 },
+      sizes: [{ width: 200, suffix: "sq" }],
+    });
+
+    await processor.process(imagePath, testDir);
+
+    // A 500x500 square as far right as the image allows
+    expect(mockSharp.extract).toHaveBeenCalledWith({
+      left: 500,
+      top: 0,
+      width: 500,
+      height: 500,
+    });
+    expect(mockSharp.resize).toHaveBeenCalledWith(200, 200, {
+      fit: "fill",
+      withoutEnlargement: true,
+    });
+  });
+
   test("handles unsupported image types", async () => {
-    const { fileTypeFromFile } = require("file-type");
-    fileTypeFromFile.mockResolvedValueOnce({ ext: "gif", mime: "image/gif" });
+    fileTypeFromFile.mockResolvedValueOnce({
+      ext: "pdf",
+      mime: "application/pdf",
+    });
 
     await expect(processor.process(imagePath, testDir)).rejects.toThrow(
       /Unsupported image type/
     );
   });
+
+  test("names variants with a content hash", async () => {
+    const result = await processor.process(imagePath, testDir);
+
+    for (const variant of result.variants.filter((v) => v.format === "webp")) {
+      expect(variant.url).toMatch(
+        new RegExp(`^/images/test-[0-9a-f]{8}-${variant.width}\\.webp$`)
+      );
+    }
+  });
+
+  test("gives same-named images in different folders distinct files", async () => {
+    const otherDir = join(testDir, "blog");
+    await mkdir(otherDir);
+    const otherPath = join(otherDir, "test.jpg");
+    await writeFile(otherPath, "other image data");
+
+    const first = await processor.process(imagePath, testDir);
+    const second = await processor.process(otherPath, testDir);
+
+    const firstFiles = first.variants.map((v) => v.path);
+    const shared = second.variants.filter((v) => firstFiles.includes(v.path));
+    expect(shared).toHaveLength(0);
+  });
+
+  test("supports a custom filename pattern", async () => {
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["webp"],
+      quality: 80,
+      sizes: [{ width: 640, suffix: "sm" }],
+      filename: "[hash:12].[suffix].[ext]",
+    });
+
+    const result = await processor.process(imagePath, testDir, {
+      hash: "abc",
+    });
+
+    expect(result.variants[0].url).toMatch(
+      /^\/images\/[0-9a-f]{12}\.sm\.webp$/
+    );
+  });
+
+  test("groups variants into one source per format", async () => {
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["webp", "avif"],
+      quality: 80,
+      sizes: [{ width: 640, suffix: "sm" }],
+    });
+
+    const result = await processor.process(imagePath, testDir);
+
+    // AVIF comes first so browsers that support it pick it
+    expect(result.sources.map((s) => s.type)).toEqual([
+      "image/avif",
+      "image/webp",
+    ]);
+    expect(result.sources[0].srcset).not.toContain(".webp");
+    expect(result.sources[1].srcset).not.toContain(".avif");
+    expect(result.srcset).toMatch(/\.jpeg 640w$/);
+    expect(result.src).toMatch(/\.jpeg$/);
+  });
+
+  test("uses png as the fallback for transparent images", async () => {
+    sharp.mockImplementationOnce(() => ({
+      metadata: jest.fn().mockResolvedValue({
+        width: 800,
+        height: 600,
+        format: "png",
+        hasAlpha: true,
+      }),
+      clone: jest.fn().mockReturnThis(),
+      resize: jest.fn().mockReturnThis(),
+      webp: jest.fn().mockReturnThis(),
+      png: jest.fn().mockReturnThis(),
+      toFile: jest.fn().mockResolvedValue({ size: 1024 }),
+    }));
+
+    const result = await processor.process(imagePath, testDir);
+
+    expect(result.src).toMatch(/\.png$/);
+    expect(result.sources).toHaveLength(1);
+  });
+
+  test("accepts GIF and TIFF inputs", async () => {
+    fileTypeFromFile.mockResolvedValueOnce({ ext: "gif", mime: "image/gif" });
+    await expect(processor.process(imagePath, testDir)).resolves.toBeDefined();
+
+    fileTypeFromFile.mockResolvedValueOnce({ ext: "tif", mime: "image/tiff" });
+    await expect(processor.process(imagePath, testDir)).resolves.toBeDefined();
+  });
+
+  test("keeps animation for animated inputs", async () => {
+    fileTypeFromFile.mockResolvedValueOnce({ ext: "gif", mime: "image/gif" });
+    sharp.mockImplementationOnce(() => ({
+      metadata: jest.fn().mockResolvedValue({
+        width: 800,
+        height: 1800, // Three stacked frames
+        pageHeight: 600,
+        pages: 3,
+        format: "gif",
+      }),
+      clone: jest.fn().mockReturnThis(),
+      resize: jest.fn().mockReturnThis(),
+      webp: jest.fn().mockReturnThis(),
+      avif: jest.fn().mockReturnThis(),
+      gif: jest.fn().mockReturnThis(),
+      toFile: jest.fn().mockResolvedValue({ size: 1024 }),
+    }));
+
+    processor = new ImageProcessor({
+      publicPath: "/images",
+      formats: ["avif", "webp"],
+      quality: 80,
+      sizes: [{ width: 640, suffix: "sm" }],
+    });
+
+    const result = await processor.process(imagePath, testDir);
+
+    expect(sharp).toHaveBeenCalledWith(imagePath, { animated: true });
+    expect(result.animated).toBe(true);
+    expect(result.height).toBe(600);
+
+    // AVIF cannot be animated, GIF is the fallback
+    expect(result.variants.map((v) => v.format)).toEqual(["webp", "gif"]);
+    expect(result.variants[0].height).toBe(480);
+    expect(result.src).toMatch(/\.gif$/);
+  });
+
+  test("copies SVGs as optimized markup", async () => {
+    const svgPath = join(testDir, "logo.svg");
+    await writeFile(
+      svgPath,
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 100"><script>alert(1)</script></svg>'
+    );
+
+    const result = await processor.process(svgPath, testDir);
+
+    expect(sharp).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      src: expect.stringMatching(/^\/images\/logo-[0-9a-f]{8}-200\.svg$/),
+      sources: [],
+      width: 200,
+      height: 100,
+      format: "svg",
+    });
+    expect(result.srcset).toBeUndefined();
+  });
 });
@@ -0,0 +1,92 @@
+// tests/prune.test.js
+import { jest } from "@jest/globals";
+import { join } from "node:path";
+import { mkdtemp, writeFile, readdir } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { OutputFiles, normalizePrune } from "../src/prune.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("OutputFiles", () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await mkdtemp(join(tmpdir(), "prune-test-"));
+    for (const file of ["a-640.webp", "b-640.webp", "notes.txt"]) {
+      await writeFile(join(outputDir, file), "data");
+    }
+  });
+
+  test("deletes listed files the build did not use", async () => {
+    const files = new OutputFiles();
+    files.load({ "a-640.webp": Date.now() - 2 * DAY, "b-640.webp": 0 });
+    files.start();
+    files.use(["a-640.webp"]);
+
+    const result = await files.prune(outputDir, { gracePeriod: DAY });
+
+    expect(result).toEqual({ dryRun: false, files: ["b-640.webp"] });
+    // Files the plugin never wrote are left alone
+    expect((await readdir(outputDir)).sort()).toEqual([
+      "a-640.webp",
+      "notes.txt",
+    ]);
+    expect(Object.keys(files.toJSON())).toEqual(["a-640.webp"]);
+  });
+
+  test("keeps files used within the grace period", async () => {
+    const files = new OutputFiles();
+    files.load({ "a-640.webp": Date.now() - 1000, "b-640.webp": 0 });
+
+    const result = await files.prune(outputDir, { gracePeriod: DAY });
+
+    expect(result.files).toEqual(["b-640.webp"]);
+    expect(await readdir(outputDir)).toContain("a-640.webp");
+  });
+
+  test("only lists files in a dry run", async () => {
+    const files = new OutputFiles();
+    files.load({ "a-640.webp": 0, "b-640.webp": 0 });
+
+    const result = await files.prune(outputDir, { dryRun: true });
+
+    expect(result).toEqual({
+      dryRun: true,
+      files: ["a-640.webp", "b-640.webp"],
+    });
+    expect(await readdir(outputDir)).toHaveLength(3);
+  });
+
+  test("ignores files that are already gone", async () => {
+    const files = new OutputFiles();
+    files.load({ "missing-640.webp": 0 });
+
+    await expect(files.prune(outputDir)).resolves.toEqual({
+      dryRun: false,
+      files: ["missing-640.webp"],
+    });
+  });
+
+  test("never loads paths outside outputDir", () => {
+    const files = new OutputFiles();
+    files.load({
+      "../site/page.md": 0,
+      "/etc/hosts": 0,
+      "nested/../../x.webp": 0,
+      "img/a-640.webp": 0,
+    });
+
+    expect(Object.keys(files.toJSON())).toEqual(["img/a-640.webp"]);
+  });
+});
+
+describe("normalizePrune", () => {
+  test("fills in defaults", () => {
+    expect(normalizePrune(false)).toBeNull();
+    expect(normalizePrune(true)).toEqual({ dryRun: false, gracePeriod: DAY });
+    expect(normalizePrune({ dryRun: true })).toEqual({
+      dryRun: true,
+      gracePeriod: DAY,
+    });
+  });
+});
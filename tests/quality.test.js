@@ -0,0 +1,105 @@
+// tests/quality.test.js
+import { jest } from "@jest/globals";
+import sharp from "sharp";
+import {
+  computeSsim,
+  findQuality,
+  normalizeAutoQuality,
+} from "../src/quality.js";
+
+// Diagonal stripes with some noise, which lossy encoders find hard
+function createDetailedImage(size = 96) {
+  const data = Buffer.alloc(size * size * 3);
+  for (let i = 0; i < size * size; i++) {
+    const x = i % size;
+    const y = Math.floor(i / size);
+    const value = ((x + y) % 8 < 4 ? 200 : 40) + ((i * 7919) % 31);
+    data.fill(value, i * 3, i * 3 + 3);
+  }
+  return sharp(data, { raw: { width: size, height: size, channels: 3 } });
+}
+
+function createFlatImage(size = 96) {
+  return sharp({
+    create: {
+      width: size,
+      height: size,
+      channels: 3,
+      background: { r: 90, g: 140, b: 200 },
+    },
+  });
+}
+
+const encodeJpeg = (image, quality) => image.jpeg({ quality });
+
+describe("computeSsim", () => {
+  test("is 1 for identical images", () => {
+    const pixels = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+    expect(computeSsim(pixels, pixels, 16, 16)).toBeCloseTo(1, 6);
+  });
+
+  test("drops as images differ", () => {
+    const a = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+    const slightly = Buffer.from(a.map((v, i) => (i % 2 ? v : v ^ 4)));
+    const inverted = Buffer.from(a.map((v) => 255 - v));
+
+    const close = computeSsim(a, slightly, 16, 16);
+    expect(close).toBeLessThan(1);
+    expect(close).toBeGreaterThan(computeSsim(a, inverted, 16, 16));
+  });
+});
+
+describe("normalizeAutoQuality", () => {
+  test("fills in defaults", () => {
+    expect(normalizeAutoQuality(false)).toBeNull();
+    expect(normalizeAutoQuality(true)).toEqual({
+      metric: "ssim",
+      target: 0.98,
+      min: 30,
+      max: 95,
+      sampleWidth: 512,
+    });
+    expect(normalizeAutoQuality({ metric: "dssim" }).target).toBe(0.01);
+    expect(normalizeAutoQuality({ target: 0.95, max: 85 })).toMatchObject({
+      target: 0.95,
+      max: 85,
+    });
+  });
+});
+
+describe("findQuality", () => {
+  test("picks the minimum quality for simple images", async () => {
+    const quality = await findQuality(
+      createFlatImage(),
+      { min: 20, max: 90 },
+      encodeJpeg
+    );
+    expect(quality).toBe(20);
+  });
+
+  test("raises the quality for detailed images and stricter targets", async () => {
+    const image = createDetailedImage();
+    const search = (target) =>
+      findQuality(image, { target, min: 1, max: 95 }, encodeJpeg);
+    const loose = await search(0.9);
+    const strict = await search(0.995);
+
+    expect(loose).toBeGreaterThan(1);
+    expect(strict).toBeGreaterThan(loose);
+    expect(strict).toBeLessThanOrEqual(95);
+  });
+
+  test("accepts a DSSIM target", async () => {
+    const encode = jest.fn(encodeJpeg);
+    const quality = await findQuality(
+      createDetailedImage(),
+      { metric: "dssim", target: 0.05, min: 10, max: 90 },
+      encode
+    );
+
+    expect(quality).toBeGreaterThanOrEqual(10);
+    expect(quality).toBeLessThanOrEqual(90);
+    // A binary search over 81 qualities needs at most 7 encodes
+    expect(encode.mock.calls.length).toBeLessThanOrEqual(7);
+  });
+});
@@ -0,0 +1,225 @@
+// tests/remote.test.js
+import { jest } from "@jest/globals";
+import { createServer } from "node:http";
+import { join, dirname, basename } from "node:path";
+import { mkdtemp, readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { tmpdir } from "node:os";
+import { RemoteImageLoader, isRemoteUrl } from "../src/remote.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const IMAGE_PATH = join(
+  __dirname,
+  "fixtures",
+  "sample-site",
+  "public",
+  "img",
+  "test.png"
+);
+
+describe("RemoteImageLoader", () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let image;
+  let cacheDir;
+
+  beforeAll(async () => {
+    image = await readFile(IMAGE_PATH);
+
+    // Local server with a few well-behaved and misbehaving routes
+    server = createServer((req, res) => {
+      requests.push(req);
+
+      switch (req.url) {
+        case "/photo.webp":
+          if (req.headers["if-none-match"] === '"v1"') {
+            res.writeHead(304);
+            return res.end();
+          }
+          res.writeHead(200, { "Content-Type": "image/webp", ETag: '"v1"' });
+          return res.end(image);
+
+        case "/image.php?id=1":
+          res.writeHead(200, { "Content-Type": "image/webp" });
+          return res.end(image);
+
+        case "/moved.webp":
+          res.writeHead(301, { Location: "/photo.webp" });
+          return res.end();
+
+        case "/elsewhere.webp":
+          // Same server under a host name that is not allowed
+          res.writeHead(302, {
+            Location: `http://localhost:${server.address().port}/photo.webp`,
+          });
+          return res.end();
+
+        case "/loop.webp":
+          res.writeHead(302, { Location: "/loop.webp" });
+          return res.end();
+
+        case "/page.html":
+          res.writeHead(200, { "Content-Type": "text/html" });
+          return res.end("<html></html>");
+
+        case "/slow.webp":
+          setTimeout(() => {
+            res.writeHead(200, { "Content-Type": "image/webp" });
+            res.end(image);
+          }, 500);
+          return;
+
+        default:
+          res.writeHead(404);
+          return res.end();
+      }
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    requests = [];
+    cacheDir = await mkdtemp(join(tmpdir(), "remote-test-"));
+  });
+
+  const createLoader = (options = {}) =>
+    new RemoteImageLoader({ allowedHosts: ["127.0.0.1"], ...options });
+
+  test("recognizes remote URLs", () => {
+    expect(isRemoteUrl("https://example.com/a.jpg")).toBe(true);
+    expect(isRemoteUrl("http://example.com/a.jpg")).toBe(true);
+    expect(isRemoteUrl("//cdn.example.com/a.jpg")).toBe(true);
+    expect(isRemoteUrl("/img/a.jpg")).toBe(false);
+    expect(isRemoteUrl("img/a.jpg")).toBe(false);
+  });
+
+  test("matches allowed hosts", () => {
+    const loader = new RemoteImageLoader({
+      allowedHosts: ["images.example.com", "*.cdn.example.com"],
+    });
+
+    expect(loader.isAllowed("https://images.example.com/a.jpg")).toBe(true);
+    expect(loader.isAllowed("https://eu.cdn.example.com/a.jpg")).toBe(true);
+    expect(loader.isAllowed("//eu.cdn.example.com/a.jpg")).toBe(true);
+    expect(loader.isAllowed("https://example.com/a.jpg")).toBe(false);
+    expect(loader.isAllowed("https://evil.com/images.example.com")).toBe(false);
+  });
+
+  test("downloads an image and keeps its file name", async () => {
+    const path = await createLoader().load(`${baseUrl}/photo.webp`, cacheDir);
+
+    expect(basename(path)).toBe("photo.webp");
+    expect((await readFile(path)).equals(image)).toBe(true);
+  });
+
+  test("names files after the content type", async () => {
+    const path = await createLoader().load(
+      `${baseUrl}/image.php?id=1`,
+      cacheDir
+    );
+
+    expect(basename(path)).toBe("image.webp");
+  });
+
+  test("fetches each URL once per build", async () => {
+    const loader = createLoader();
+    const url = `${baseUrl}/photo.webp`;
+
+    await Promise.all([loader.load(url, cacheDir), loader.load(url, cacheDir)]);
+    await loader.load(url, cacheDir);
+
+    expect(requests).toHaveLength(1);
+  });
+
+  test("revalidates later builds with the ETag", async () => {
+    const url = `${baseUrl}/photo.webp`;
+    const first = await createLoader().load(url, cacheDir);
+    const second = await createLoader().load(url, cacheDir);
+
+    expect(second).toBe(first);
+    expect(requests).toHaveLength(2);
+    expect(requests[1].headers["if-none-match"]).toBe('"v1"');
+  });
+
+  test("revalidates a URL once cleared", async () => {
+    const loader = createLoader();
+    const url = `${baseUrl}/photo.webp`;
+
+    await loader.load(url, cacheDir);
+    loader.clear(url);
+    await loader.load(url, cacheDir);
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].headers["if-none-match"]).toBe('"v1"');
+  });
+
+  test("rejects hosts that are not allowed", async () => {
+    const loader = createLoader({ allowedHosts: ["images.example.com"] });
+
+    await expect(
+      loader.load(`${baseUrl}/photo.webp`, cacheDir)
+    ).rejects.toThrow(/Remote host not allowed/);
+    expect(requests).toHaveLength(0);
+  });
+
+  test("follows redirects within the allowed hosts", async () => {
+    const path = await createLoader().load(`${baseUrl}/moved.webp`, cacheDir);
+
+    expect((await readFile(path)).equals(image)).toBe(true);
+    expect(requests.map((req) => req.url)).toEqual([
+      "/moved.webp",
+      "/photo.webp",
+    ]);
+  });
+
+  test("rejects redirects to hosts that are not allowed", async () => {
+    await expect(
+      createLoader().load(`${baseUrl}/elsewhere.webp`, cacheDir)
+    ).rejects.toThrow(/Redirect to a host that is not allowed: .*localhost/);
+    expect(requests.map((req) => req.url)).toEqual(["/elsewhere.webp"]);
+  });
+
+  test("stops after a few redirects", async () => {
+    await expect(
+      createLoader().load(`${baseUrl}/loop.webp`, cacheDir)
+    ).rejects.toThrow(/Too many redirects/);
+    expect(requests).toHaveLength(6);
+  });
+
+  test("rejects responses over the size limit", async () => {
+    const loader = createLoader({ maxBytes: 100 });
+
+    await expect(
+      loader.load(`${baseUrl}/photo.webp`, cacheDir)
+    ).rejects.toThrow(/exceeds 100 bytes/);
+  });
+
+  test("rejects responses that are not images", async () => {
+    await expect(
+      createLoader().load(`${baseUrl}/page.html`, cacheDir)
+    ).rejects.toThrow(/Not an image \(text\/html\)/);
+  });
+
+  test("reports HTTP errors", async () => {
+    await expect(
+      createLoader().load(`${baseUrl}/missing.jpg`, cacheDir)
+    ).rejects.toThrow(/HTTP 404/);
+  });
+
+  test("times out slow servers", async () => {
+    const loader = createLoader({ timeout: 100 });
+
+    await expect(loader.load(`${baseUrl}/slow.webp`, cacheDir)).rejects.toThrow(
+      /Timed out after 100ms/
+    );
+  });
+});
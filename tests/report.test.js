@@ -0,0 +1,148 @@
+// tests/report.test.js
+import { jest } from "@jest/globals";
+import { Report, normalizeReport } from "../src/report.js";
+
+const variants = [
+  { format: "webp", width: 640, bytes: 30000 },
+  { format: "jpeg", width: 640, bytes: 40000 },
+  { format: "webp", width: 320, bytes: 10000 },
+  { format: "jpeg", width: 320, bytes: 15000 },
+];
+
+describe("Report", () => {
+  let report;
+
+  beforeEach(() => {
+    report = new Report();
+    report.start();
+    report.add("image:a", {
+      source: "public/img/a.jpg",
+      originalBytes: 200000,
+      variants,
+      cached: false,
+      durationMs: 120,
+    });
+    report.add("image:b", {
+      source: "public/img/b.jpg",
+      originalBytes: 100000,
+      variants: [{ format: "webp", width: 320, bytes: 20000 }],
+      cached: true,
+    });
+    report.finish();
+  });
+
+  test("summarizes each image", () => {
+    const { images } = report.toJSON();
+
+    expect(images[0]).toEqual({
+      source: "public/img/a.jpg",
+      originalBytes: 200000,
+      outputBytes: 95000,
+      savedBytes: 170000, // Against the 640w WebP
+      savedPercent: 85,
+      cached: false,
+      durationMs: 120,
+      sets: [
+        {
+          outputBytes: 95000,
+          cached: false,
+          durationMs: 120,
+          outputs: [
+            { format: "jpeg", width: 320, bytes: 15000 },
+            { format: "jpeg", width: 640, bytes: 40000 },
+            { format: "webp", width: 320, bytes: 10000 },
+            { format: "webp", width: 640, bytes: 30000 },
+          ],
+        },
+      ],
+    });
+    expect(images[1]).toMatchObject({ cached: true, durationMs: 0 });
+  });
+
+  test("adds up totals and cache use", () => {
+    expect(report.toJSON().totals).toEqual({
+      images: 2,
+      originalBytes: 300000,
+      outputBytes: 115000,
+      savedBytes: 250000,
+      savedPercent: 83.3,
+      cacheHits: 1,
+      cacheMisses: 1,
+      durationMs: expect.any(Number),
+    });
+  });
+
+  test("counts repeated images once", () => {
+    report.add("image:a", {
+      source: "public/img/a.jpg",
+      originalBytes: 200000,
+      variants,
+      cached: true,
+    });
+
+    expect(report.toJSON().totals).toMatchObject({
+      images: 2,
+      cacheHits: 1,
+    });
+  });
+
+  test("totals a source used with several option sets once", () => {
+    report.add("image:a:preset", {
+      source: "public/img/a.jpg",
+      originalBytes: 200000,
+      variants: [{ format: "webp", width: 1280, bytes: 50000 }],
+      cached: false,
+      durationMs: 80,
+    });
+
+    const { totals, images } = report.toJSON();
+    expect(totals).toMatchObject({
+      images: 2,
+      originalBytes: 300000,
+      outputBytes: 165000,
+      cacheMisses: 2,
+    });
+    expect(images).toHaveLength(2);
+    expect(images[0]).toMatchObject({
+      source: "public/img/a.jpg",
+      outputBytes: 145000,
+      savedBytes: 150000, // Against the 1280w WebP
+      durationMs: 200,
+    });
+    expect(images[0].sets.map((set) => set.outputBytes)).toEqual([
+      50000, 95000,
+    ]);
+
+    const markdown = report.toMarkdown();
+    expect(markdown).toContain("| webp 1280w 48.83 KB; jpeg 320w");
+  });
+
+  test("formats tables and markdown", () => {
+    const table = report.toTable().split("\n");
+    expect(table[0]).toMatch(/^Image\s+Original\s+Output\s+Saved\s+Time$/);
+    expect(table[2]).toMatch(
+      /^public\/img\/a\.jpg\s+195\.31 KB\s+92\.77 KB\s+85%\s+120 ms$/
+    );
+
+    const markdown = report.toMarkdown();
+    expect(markdown).toContain("| Image | Original | Output | Saved |");
+    expect(markdown).toContain(
+      "| `public/img/b.jpg` | 97.66 KB | 19.53 KB | 80% | webp 320w 19.53 KB | cached |"
+    );
+  });
+});
+
+describe("normalizeReport", () => {
+  test("picks a file for written formats", () => {
+    expect(normalizeReport(false)).toBe(null);
+    expect(normalizeReport("table")).toEqual({ format: "table", file: null });
+    expect(normalizeReport("json")).toEqual({
+      format: "json",
+      file: "image-report.json",
+    });
+    expect(normalizeReport({ format: "markdown", file: "report.md" })).toEqual({
+      format: "markdown",
+      file: "report.md",
+    });
+  });
+});
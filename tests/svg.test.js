@@ -0,0 +1,114 @@
+// tests/svg.test.js
+import { jest } from "@jest/globals";
+import { isSvgFile, optimizeSvg, getSvgDimensions } from "../src/svg.js";
+
+describe("SVG helpers", () => {
+  test("detects SVG files by extension", () => {
+    expect(isSvgFile("/img/logo.svg")).toBe(true);
+    expect(isSvgFile("/img/LOGO.SVG")).toBe(true);
+    expect(isSvgFile("/img/photo.png")).toBe(false);
+  });
+
+  test("strips scripts and event handlers", () => {
+    const markup = optimizeSvg(`
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10" onload="alert(1)">
+        <script>alert(2)</script>
+        <a href="javascript:alert(3)">
+          <rect width="10" height="10" onclick="alert(4)"/>
+        </a>
+      </svg>
+    `);
+
+    expect(markup).not.toMatch(/script|onload|onclick|javascript:/i);
+    expect(markup).toContain('viewBox="0 0 10 10"');
+  });
+
+  test("strips handlers and links set by animations", () => {
+    const markup = optimizeSvg(`
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">
+        <a>
+          <rect width="10" height="10">
+            <set attributeName="onmouseover" to="alert(8)"/>
+            <animate attributeName="fill" from="red" to="blue" dur="1s"/>
+          </rect>
+          <animate attributeName="href" to="javascript:alert(7)"/>
+          <set attributeName="xlink:href" to="javascript:alert(9)"/>
+        </a>
+      </svg>
+    `);
+
+    expect(markup).not.toMatch(/alert|onmouseover|href|<set/i);
+    expect(markup).toContain('attributeName="fill"');
+  });
+
+  test("removes foreignObject and links out of the file", () => {
+    const markup = optimizeSvg(`
+      <svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 10 10">
+        <defs><circle id="dot" r="2"/></defs>
+        <foreignObject width="10" height="10">
+          <iframe xmlns="http://www.w3.org/1999/xhtml" src="javascript:alert(10)"></iframe>
+        </foreignObject>
+        <image href="https://tracker.example.com/pixel.png" width="1" height="1"/>
+        <use xlink:href="data:image/svg+xml;base64,PHN2Zy8+"/>
+        <a href="https://example.com"><rect width="10" height="10"/></a>
+        <use href="#dot" x="5" y="5"/>
+      </svg>
+    `);
+
+    expect(markup).not.toMatch(/foreignObject|iframe|alert/i);
+    expect(markup).not.toMatch(/example\.com|data:/);
+    expect(markup).toMatch(/<use [^>]*href="#\w+"/); // Ids are minified
+  });
+
+  test("keeps rasters embedded in images", () => {
+    const png =
+      "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==";
+    const markup = optimizeSvg(`
+      <svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 10 10">
+        <image width="10" height="10" xlink:href="${png}"/>
+        <image width="10" height="10" href="data:image/svg+xml;base64,PHN2Zy8+"/>
+        <a href="data:image/png;base64,iVBORw0KGgo="><rect width="1" height="1"/></a>
+      </svg>
+    `);
+
+    expect(markup).toContain(png);
+    expect(markup).not.toMatch(/svg\+xml|iVBORw0KGgo="/);
+  });
+
+  test("minifies markup", () => {
+    const markup = optimizeSvg(`<?xml version="1.0"?>
+      <!-- Generator: Sketch -->
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">
+        <metadata>Created with love</metadata>
+        <rect   width="10"   height="10" fill="#ff0000" />
+      </svg>
+    `);
+
+    expect(markup).not.toMatch(/Sketch|metadata|\n/);
+    expect(markup).toContain('fill="red"');
+  });
+
+  test("reads dimensions from the viewBox", () => {
+    expect(getSvgDimensions('<svg viewBox="0 0 240 120.4"></svg>')).toEqual({
+      width: 240,
+      height: 120,
+    });
+  });
+
+  test("prefers explicit pixel dimensions", () => {
+    expect(
+      getSvgDimensions(
+        '<svg width="120px" height="60" viewBox="0 0 240 120"></svg>'
+      )
+    ).toEqual({ width: 120, height: 60 });
+
+    // Relative lengths depend on the page, so the viewBox is used
+    expect(
+      getSvgDimensions('<svg width="100%" viewBox="0 0 240 120"></svg>')
+    ).toEqual({ width: 240, height: 120 });
+  });
+
+  test("rejects markup without an svg element", () => {
+    expect(() => getSvgDimensions("<html></html>")).toThrow(/Invalid SVG/);
+  });
+});
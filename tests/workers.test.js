@@ -0,0 +1,174 @@
+// tests/workers.test.js
+import { jest } from "@jest/globals";
+import { join } from "node:path";
+import { mkdtemp, access, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { WorkerPool, getDefaultPoolSize } from "../src/workers.js";
+
+const TEST_WORKER = new URL(
+  "./fixtures/workers/test-worker.js",
+  import.meta.url
+);
+
+describe("WorkerPool", () => {
+  let pool;
+
+  afterEach(async () => {
+    await pool?.close();
+  });
+
+  test("runs jobs in worker threads", async () => {
+    pool = new WorkerPool({ size: 2, script: TEST_WORKER });
+
+    const results = await Promise.all(
+      [1, 2, 3, 4].map(() => pool.run({ delay: 50 }))
+    );
+
+    // Never more threads than the pool size
+    const threads = new Set(results.map((result) => result.threadId));
+    expect(threads.size).toBe(2);
+    expect(threads.has(0)).toBe(false);
+  });
+
+  test("rejects a job that fails", async () => {
+    pool = new WorkerPool({ size: 1, script: TEST_WORKER });
+
+    await expect(pool.run({ action: "fail" })).rejects.toThrow("Bad image");
+    await expect(pool.run({})).resolves.toHaveProperty("threadId");
+  });
+
+  test("keeps the error code", async () => {
+    pool = new WorkerPool({ size: 1, script: TEST_WORKER });
+
+    await expect(
+      pool.run({ action: "fail", code: "EMFILE" })
+    ).rejects.toMatchObject({ message: "Bad image", code: "EMFILE" });
+  });
+
+  test("stops a running job when its signal aborts", async () => {
+    pool = new WorkerPool({ size: 1, script: TEST_WORKER });
+    const controller = new AbortController();
+
+    const running = pool.run({ action: "hang" }, { signal: controller.signal });
+    setTimeout(() => controller.abort(new Error("Timed out")), 50);
+
+    await expect(running).rejects.toThrow("Timed out");
+    await expect(pool.run({})).resolves.toHaveProperty("threadId");
+  });
+
+  test("replaces a stuck worker and removes its files", async () => {
+    pool = new WorkerPool({ size: 1, script: TEST_WORKER });
+    const dir = await mkdtemp(join(tmpdir(), "workers-test-"));
+    const file = join(dir, "photo-640.webp");
+    const controller = new AbortController();
+
+    const { threadId } = await pool.run({});
+    const running = pool.run(
+      { action: "spin", file },
+      { signal: controller.signal }
+    );
+    setTimeout(() => controller.abort(new Error("Timed out")), 200);
+
+    await expect(running).rejects.toThrow("Timed out");
+
+    // The next job runs on a new worker, and the stuck one's files are gone
+    const next = await pool.run({});
+    expect(next.threadId).not.toBe(threadId);
+    await expect(access(file)).rejects.toThrow(/ENOENT/);
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("counts a stuck worker toward the pool size until it exits", async () => {
+    pool = new WorkerPool({ size: 1, script: TEST_WORKER });
+    const dir = await mkdtemp(join(tmpdir(), "workers-test-"));
+    const controller = new AbortController();
+
+    const stuck = pool.run(
+      { action: "block", file: join(dir, "photo-640.webp"), delay: 1000 },
+      { signal: controller.signal }
+    );
+    setTimeout(() => controller.abort(new Error("Timed out")), 100);
+    await expect(stuck).rejects.toThrow("Timed out");
+
+    // The next job waits for the thread instead of adding one
+    const started = Date.now();
+    await pool.run({});
+    expect(Date.now() - started).toBeGreaterThan(500);
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("closes without waiting for a stuck worker", async () => {
+    pool = new WorkerPool({ size: 1, script: TEST_WORKER });
+    const dir = await mkdtemp(join(tmpdir(), "workers-test-"));
+    const file = join(dir, "photo-640.webp");
+    const controller = new AbortController();
+
+    const stuck = pool.run(
+      { action: "block", file, delay: 2000 },
+      { signal: controller.signal }
+    );
+    setTimeout(() => controller.abort(new Error("Timed out")), 100);
+    await expect(stuck).rejects.toThrow("Timed out");
+
+    const started = Date.now();
+    await pool.close();
+    expect(Date.now() - started).toBeLessThan(500);
+
+    // The file it started is removed without waiting for it either
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await expect(access(file)).rejects.toThrow(/ENOENT/);
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("drops a waiting job when its signal aborts", async () => {
+    pool = new WorkerPool({ size: 1, script: TEST_WORKER });
+    const controller = new AbortController();
+
+    const first = pool.run({ delay: 50 });
+    const waiting = pool.run({}, { signal: controller.signal });
+    controller.abort(new Error("Cancelled"));
+
+    await expect(waiting).rejects.toThrow("Cancelled");
+    await expect(first).resolves.toHaveProperty("threadId");
+  });
+
+  test("fails only the job of a crashed worker", async () => {
+    pool = new WorkerPool({ size: 2, script: TEST_WORKER });
+
+    const [crashed, other, after] = await Promise.allSettled([
+      pool.run({ action: "crash" }),
+      pool.run({ delay: 50 }),
+      pool.run({ delay: 50 }),
+    ]);
+
+    expect(crashed.reason.message).toBe("Image worker stopped: Worker crashed");
+    expect(other.status).toBe("fulfilled");
+    expect(after.status).toBe("fulfilled");
+  });
+
+  test("stops a job over the memory limit", async () => {
+    pool = new WorkerPool({ size: 1, memoryLimit: 64, script: TEST_WORKER });
+
+    await expect(pool.run({ action: "memory" })).rejects.toThrow(
+      /Image worker stopped/
+    );
+    await expect(pool.run({})).resolves.toHaveProperty("threadId");
+  });
+
+  test("rejects waiting jobs when closed", async () => {
+    pool = new WorkerPool({ size: 1, script: TEST_WORKER });
+
+    const running = pool.run({ delay: 1000 });
+    const waiting = pool.run({});
+    const results = Promise.allSettled([running, waiting]);
+    await pool.close();
+
+    const [stopped, closed] = await results;
+    expect(stopped.reason.message).toMatch(/Image worker stopped/);
+    expect(closed.reason.message).toBe("Worker pool closed");
+  });
+
+  test("leaves a core for the collector", () => {
+    expect(getDefaultPoolSize()).toBeGreaterThanOrEqual(1);
+  });
+});